@@ -0,0 +1,126 @@
+/**
+ * Deployment Analytics
+ *
+ * DORA-style metrics computed from notification history, per project and
+ * environment over a time window:
+ * - deployment frequency: successful deployments per day and week
+ * - change failure rate: deployments that failed or crashed, out of all deployments
+ * - mean time to recovery: from a failure or crash to the next success
+ * - median build and deploy durations, from the deployment timelines
+ */
+
+const { DeploymentTracker } = require('./deployment-tracker');
+const { notificationField } = require('./notification-store');
+
+const SUCCESS_EVENTS = ['deployment_success'];
+const FAILURE_EVENTS = ['deployment_failure', 'service_crash'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+function round(value, places = 2) {
+  return Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+}
+
+// Metrics for one project/environment; notifications oldest first
+function analyzeGroup(notifications, days) {
+  // A deployment is one deployment ID, or a single notification when the producer sent no ID
+  const outcomes = new Map();
+  const recoveries = [];
+  let failingSince = null;
+
+  notifications.forEach(notification => {
+    const succeeded = SUCCESS_EVENTS.includes(notification.event);
+    const failed = FAILURE_EVENTS.includes(notification.event);
+    if (!succeeded && !failed) return;
+
+    const key = notificationField(notification, 'deploymentId') || `notification:${notification.id}`;
+    const outcome = outcomes.get(key) || { succeeded: false, failed: false };
+    outcome.succeeded = outcome.succeeded || succeeded;
+    outcome.failed = outcome.failed || failed;
+    outcomes.set(key, outcome);
+
+    const at = Date.parse(notification.receivedAt || notification.timestamp);
+    if (failed && failingSince === null) {
+      failingSince = at;
+    } else if (succeeded && failingSince !== null) {
+      recoveries.push(at - failingSince);
+      failingSince = null;
+    }
+  });
+
+  const deployments = outcomes.size;
+  const failedDeployments = Array.from(outcomes.values()).filter(outcome => outcome.failed).length;
+  const successfulDeployments = Array.from(outcomes.values()).filter(outcome => outcome.succeeded && !outcome.failed).length;
+
+  // Stage durations come from the same timelines /deployments shows
+  const tracker = new DeploymentTracker();
+  notifications.forEach(notification => tracker.record(notification));
+  const timelines = tracker.list(Infinity);
+  const durations = field => timelines.map(deployment => deployment.durations[field]).filter(value => typeof value === 'number');
+
+  return {
+    deployments,
+    successfulDeployments,
+    failedDeployments,
+    deploymentFrequency: {
+      perDay: round(successfulDeployments / days),
+      perWeek: round(successfulDeployments / days * 7)
+    },
+    changeFailureRate: deployments > 0 ? round(failedDeployments / deployments, 4) : null,
+    meanTimeToRecoveryMs: mean(recoveries),
+    recoveries: recoveries.length,
+    // Failing at the end of the window, with no success since
+    failingSince: failingSince === null ? null : new Date(failingSince).toISOString(),
+    medianBuildMs: median(durations('buildMs')),
+    medianDeployMs: median(durations('deployMs'))
+  };
+}
+
+// notifications: history in any order; filters: { since, until, project, environment } (lists or null)
+function computeDeploymentAnalytics(notifications, { since, until, project = null, environment = null }) {
+  const sinceMs = since.getTime();
+  const untilMs = until.getTime();
+  const days = Math.max((untilMs - sinceMs) / DAY_MS, 1 / 24);
+
+  const groups = new Map();
+  notifications
+    .filter(notification => {
+      const at = Date.parse(notification.receivedAt || notification.timestamp);
+      return at >= sinceMs && at <= untilMs &&
+        (!project || project.includes(notification.project)) &&
+        (!environment || environment.includes(notificationField(notification, 'environment')));
+    })
+    .sort((a, b) => Date.parse(a.receivedAt || a.timestamp) - Date.parse(b.receivedAt || b.timestamp) || a.id - b.id)
+    .forEach(notification => {
+      const env = notificationField(notification, 'environment') || null;
+      const key = JSON.stringify([notification.project, env]);
+      if (!groups.has(key)) {
+        groups.set(key, { project: notification.project, environment: env, notifications: [] });
+      }
+      groups.get(key).notifications.push(notification);
+    });
+
+  return {
+    since: since.toISOString(),
+    until: until.toISOString(),
+    days: round(days),
+    groups: Array.from(groups.values())
+      .map(group => ({ project: group.project, environment: group.environment, ...analyzeGroup(group.notifications, days) }))
+      .filter(group => group.deployments > 0)
+      .sort((a, b) => a.project.localeCompare(b.project) || String(a.environment).localeCompare(String(b.environment)))
+  };
+}
+
+module.exports = { computeDeploymentAnalytics, median, SUCCESS_EVENTS, FAILURE_EVENTS };
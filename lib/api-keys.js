@@ -0,0 +1,102 @@
+/**
+ * Notify API Keys
+ *
+ * Keys issued to /notify producers. Each key is scoped to the projects and
+ * event types it may report; a pattern may end in * to match a prefix.
+ *
+ *   {
+ *     "id": "web-ci",
+ *     "keyHash": "sha256 hex of the key",   (or "key": "the key itself")
+ *     "projects": ["web", "web-*"],
+ *     "events": ["build_*", "deployment_success", "deployment_failure"]
+ *   }
+ *
+ * Omitting projects or events allows any. Keys are sent in the X-API-Key
+ * header or as `Authorization: Bearer <key>`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// "web-*" → /^web-.*$/
+function compilePattern(pattern) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Validate a key entry and precompile its scopes; throws on invalid config
+function compileKey(entry, index) {
+  if (!entry || typeof entry !== 'object' || !entry.id) {
+    throw new Error(`API key #${index + 1} must be an object with an id`);
+  }
+  if (!entry.key && !/^[0-9a-f]{64}$/i.test(entry.keyHash || '')) {
+    throw new Error(`API key "${entry.id}" needs a key or a sha256 keyHash`);
+  }
+  for (const scope of ['projects', 'events']) {
+    if (entry[scope] !== undefined && !Array.isArray(entry[scope])) {
+      throw new Error(`API key "${entry.id}" ${scope} must be a list`);
+    }
+  }
+
+  return {
+    id: String(entry.id),
+    hash: Buffer.from(entry.keyHash ? entry.keyHash.toLowerCase() : hashKey(entry.key), 'hex'),
+    projects: entry.projects ? entry.projects.map(compilePattern) : null,
+    events: entry.events ? entry.events.map(compilePattern) : null
+  };
+}
+
+class ApiKeyRegistry {
+  constructor(entries = []) {
+    if (!Array.isArray(entries)) {
+      throw new Error('API keys must be a JSON array');
+    }
+    this.keys = entries.map(compileKey);
+    const ids = this.keys.map(key => key.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+      throw new Error(`API key id "${duplicate}" is used more than once`);
+    }
+  }
+
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  // Key presented with the request, if any
+  static fromRequest(req) {
+    if (req.headers['x-api-key']) return req.headers['x-api-key'];
+    const match = /^Bearer (.+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+  }
+
+  // The key record for a presented key, or null
+  find(presented) {
+    if (!presented) return null;
+    const hash = Buffer.from(hashKey(presented), 'hex');
+    // Compare against every key so timing does not reveal a partial match
+    return this.keys.reduce((found, key) => (crypto.timingSafeEqual(hash, key.hash) ? key : found), null);
+  }
+
+  // Whether the key may report this event for this project
+  allows(key, { project, event }) {
+    const inScope = (patterns, value) => !patterns || patterns.some(pattern => pattern.test(value));
+    return inScope(key.projects, project) && inScope(key.events, event);
+  }
+}
+
+function loadApiKeys(options = {}) {
+  if (options.json) {
+    return new ApiKeyRegistry(JSON.parse(options.json));
+  }
+  if (options.path) {
+    return new ApiKeyRegistry(JSON.parse(fs.readFileSync(options.path, 'utf8')));
+  }
+  return new ApiKeyRegistry([]);
+}
+
+module.exports = { ApiKeyRegistry, loadApiKeys, hashKey };
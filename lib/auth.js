@@ -0,0 +1,169 @@
+/**
+ * Dashboard Authentication
+ *
+ * Protects the dashboard, the live streams and the read APIs. Two kinds of
+ * credentials can be configured, separately or together:
+ * - shared access tokens, sent as `Authorization: Bearer <token>` or `?token=`
+ * - username/password pairs, sent with HTTP Basic auth
+ * Either can also be exchanged for a session cookie through the login form,
+ * which is what the dashboard (and its EventSource/WebSocket) uses.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'deployment_alert_session';
+
+// Compare secrets in constant time, whatever their lengths
+function safeEqual(a, b) {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+// "alice:secret,bob:other" → Map { alice → secret, bob → other }
+function parseUsers(value) {
+  const users = new Map();
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid AUTH_USERS entry "${entry}" (expected username:password)`);
+    }
+    users.set(entry.slice(0, separator), entry.slice(separator + 1));
+  });
+  return users;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const separator = part.indexOf('=');
+    if (separator === -1) return;
+    const name = part.slice(0, separator).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(separator + 1).trim());
+    } catch (e) {
+      // Ignore cookies that are not ours to decode
+    }
+  });
+  return cookies;
+}
+
+class DashboardAuth {
+  constructor(options = {}) {
+    this.tokens = options.tokens || [];
+    this.users = options.users || new Map();
+    this.sessionTtlMs = options.sessionTtlMs || 7 * 24 * 60 * 60 * 1000;
+    // session ID → { user, expiresAt }
+    this.sessions = new Map();
+  }
+
+  get enabled() {
+    return this.tokens.length > 0 || this.users.size > 0;
+  }
+
+  // Who is making this request: { user, method } or null
+  authenticate(req) {
+    if (!this.enabled) return { user: 'anonymous', method: 'none' };
+
+    const session = this.getSession(req);
+    if (session) return { user: session.user, method: 'session' };
+
+    const header = req.headers.authorization || '';
+    const [scheme, credentials] = header.split(' ');
+    if (/^bearer$/i.test(scheme) && this.checkToken(credentials)) {
+      return { user: 'token', method: 'token' };
+    }
+    if (/^basic$/i.test(scheme) && credentials) {
+      const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      const user = decoded.slice(0, separator);
+      if (separator > 0 && this.checkPassword(user, decoded.slice(separator + 1))) {
+        return { user, method: 'basic' };
+      }
+    }
+
+    // EventSource and WebSocket clients cannot set headers
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    if (query.has('token') && this.checkToken(query.get('token'))) {
+      return { user: 'token', method: 'token' };
+    }
+    return null;
+  }
+
+  checkToken(token) {
+    if (!token) return false;
+    // Check every token so the time taken does not reveal which one matched
+    return this.tokens.reduce((matched, candidate) => safeEqual(token, candidate) || matched, false);
+  }
+
+  checkPassword(user, password) {
+    const expected = this.users.get(user);
+    // Compare even for unknown users, so they take as long as wrong passwords
+    const matches = safeEqual(password, expected === undefined ? '' : expected);
+    return expected !== undefined && matches;
+  }
+
+  createSession(user) {
+    const id = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(id, { user, expiresAt: Date.now() + this.sessionTtlMs });
+    this.purge();
+    return id;
+  }
+
+  getSession(req) {
+    const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = id && this.sessions.get(id);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  destroySession(req) {
+    const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (id) this.sessions.delete(id);
+  }
+
+  purge() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now) this.sessions.delete(id);
+    }
+  }
+
+  sessionCookie(id, req) {
+    const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+    const maxAge = id ? Math.floor(this.sessionTtlMs / 1000) : 0;
+    return `${SESSION_COOKIE}=${id || ''}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+  }
+
+  // Express middleware: browsers are sent to the login page, API clients get a 401
+  middleware() {
+    return (req, res, next) => {
+      const identity = this.authenticate(req);
+      if (identity) {
+        res.locals.user = identity.user;
+        return next();
+      }
+
+      if (req.method === 'GET' && (req.headers.accept || '').includes('text/html')) {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      res.set('WWW-Authenticate', this.users.size > 0 ? 'Basic realm="Deployment Alert"' : 'Bearer');
+      res.status(401).json({ error: 'Authentication required' });
+    };
+  }
+}
+
+// Configure from AUTH_TOKENS / AUTH_USERS style values
+function createDashboardAuth({ tokens, users, sessionTtlMs } = {}) {
+  return new DashboardAuth({
+    tokens: (tokens || '').split(',').map(token => token.trim()).filter(Boolean),
+    users: parseUsers(users),
+    sessionTtlMs
+  });
+}
+
+module.exports = { DashboardAuth, createDashboardAuth, parseCookies, safeEqual, SESSION_COOKIE };
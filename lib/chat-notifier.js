@@ -0,0 +1,214 @@
+/**
+ * Chat Notifier
+ *
+ * Forwards notifications to Slack, Discord and Microsoft Teams incoming
+ * webhooks, with a message layout for each platform. Failed deliveries are
+ * queued and retried with exponential backoff.
+ */
+
+const { postJson } = require('./http-client');
+const { notificationField } = require('./notification-store');
+
+const EVENT_ICONS = {
+  initializing: '🔄',
+  queued: '⏳',
+  building: '🔨',
+  deploying: '🚀',
+  build_start: '🔨',
+  build_success: '✅',
+  build_failure: '❌',
+  deployment_success: '✅',
+  deployment_failure: '❌',
+  service_crash: '💥',
+  sleeping: '😴',
+  removed: '🗑️',
+  skipped: '⏭️',
+  storm: '🌪️',
+  storm_summary: '🌪️',
+  health_check_passed: '💚',
+  health_check_failed: '🩺',
+  deployment_stuck: '⏳',
+  heartbeat: '💓',
+  heartbeat_missed: '💀',
+  heartbeat_recovered: '💓',
+  deployment_recovered: '🩹',
+  deployment_regressed: '📉',
+  service_flapping: '🔁',
+  service_flapping_settled: '🔕'
+};
+
+function eventColor(event) {
+  if (event === 'deployment_success' || event === 'build_success') return '#48bb78';
+  if (event === 'service_crash') return '#9b2c2c';
+  if (event === 'deployment_failure' || event === 'build_failure') return '#f56565';
+  return '#4299e1';
+}
+
+// Fields every layout shows
+function describe(notification) {
+  return {
+    icon: EVENT_ICONS[notification.event] || '📢',
+    title: `${notification.project}: ${notification.event}`,
+    environment: notificationField(notification, 'environment') || 'N/A',
+    status: notificationField(notification, 'status') || notification.event,
+    url: notificationField(notification, 'url') || null
+  };
+}
+
+function formatSlack(notification) {
+  const { icon, title, environment, status, url } = describe(notification);
+  const context = [`Environment: *${environment}*`, `Status: *${status}*`];
+  if (url) context.push(`<${url}|Open deployment>`);
+
+  return {
+    text: `${icon} ${title}${notification.message ? ` - ${notification.message}` : ''}`,
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `${icon} *${title}*${notification.message ? `\n${notification.message}` : ''}` }
+      },
+      {
+        type: 'context',
+        elements: context.map(text => ({ type: 'mrkdwn', text }))
+      }
+    ]
+  };
+}
+
+function formatDiscord(notification) {
+  const { icon, title, environment, status, url } = describe(notification);
+  const fields = [
+    { name: 'Environment', value: environment, inline: true },
+    { name: 'Status', value: status, inline: true }
+  ];
+  if (url) fields.push({ name: 'Deployment', value: url });
+
+  return {
+    username: 'Deployment Alert',
+    embeds: [{
+      title: `${icon} ${title}`,
+      description: notification.message || undefined,
+      url: url || undefined,
+      color: parseInt(eventColor(notification.event).slice(1), 16),
+      fields,
+      timestamp: notification.receivedAt
+    }]
+  };
+}
+
+function formatTeams(notification) {
+  const { icon, title, environment, status, url } = describe(notification);
+  const card = {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: title,
+    themeColor: eventColor(notification.event).slice(1),
+    title: `${icon} ${title}`,
+    text: notification.message || undefined,
+    sections: [{
+      facts: [
+        { name: 'Project', value: notification.project },
+        { name: 'Environment', value: environment },
+        { name: 'Status', value: status }
+      ]
+    }]
+  };
+  if (url) {
+    card.potentialAction = [{
+      '@type': 'OpenUri',
+      name: 'Open deployment',
+      targets: [{ os: 'default', uri: url }]
+    }];
+  }
+  return card;
+}
+
+const FORMATTERS = {
+  slack: formatSlack,
+  discord: formatDiscord,
+  teams: formatTeams
+};
+
+class ChatNotifier {
+  constructor(options = {}) {
+    // [{ platform: 'slack' | 'discord' | 'teams', url }]
+    this.channels = (options.channels || []).filter(channel => FORMATTERS[channel.platform] && channel.url);
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryBaseMs = options.retryBaseMs || 5000;
+    this.timeout = options.timeout || 5000;
+    // Deliveries waiting for their next attempt
+    this.retryQueue = [];
+  }
+
+  get enabled() {
+    return this.channels.length > 0;
+  }
+
+  // Send a notification to every configured channel (or only the given platforms)
+  notify(notification, platforms = null) {
+    const channels = platforms
+      ? this.channels.filter(channel => platforms.includes(channel.platform))
+      : this.channels;
+
+    return Promise.all(channels.map(channel => this.deliver({
+      channel,
+      payload: FORMATTERS[channel.platform](notification),
+      notificationId: notification.id,
+      attempts: 0
+    })));
+  }
+
+  async deliver(job) {
+    job.attempts++;
+    const { platform, url } = job.channel;
+
+    try {
+      const response = await postJson(url, job.payload, { timeout: this.timeout });
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        console.log(`💬 Sent notification ${job.notificationId} to ${platform}`);
+        return true;
+      }
+      // Other client errors mean the webhook URL or payload is wrong - retrying will not help
+      if (response.statusCode >= 400 && response.statusCode < 500 && response.statusCode !== 408 && response.statusCode !== 429) {
+        console.log(`❌ ${platform} rejected notification ${job.notificationId}: HTTP ${response.statusCode} ${response.data}`);
+        return false;
+      }
+      throw new Error(`HTTP ${response.statusCode}`);
+    } catch (error) {
+      console.log(`❌ Failed to send notification ${job.notificationId} to ${platform} (attempt ${job.attempts}):`, error.message);
+      this.scheduleRetry(job);
+      return false;
+    }
+  }
+
+  // Exponential backoff: base, 2x base, 4x base, ...
+  scheduleRetry(job) {
+    if (job.attempts >= this.maxAttempts) {
+      console.log(`🗑️ Giving up on notification ${job.notificationId} for ${job.channel.platform} after ${job.attempts} attempts`);
+      return;
+    }
+
+    const delay = this.retryBaseMs * Math.pow(2, job.attempts - 1);
+    job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    this.retryQueue.push(job);
+    console.log(`🔁 Retrying ${job.channel.platform} delivery of notification ${job.notificationId} in ${delay / 1000}s`);
+
+    const timer = setTimeout(() => {
+      this.retryQueue.splice(this.retryQueue.indexOf(job), 1);
+      this.deliver(job);
+    }, delay);
+    timer.unref();
+  }
+}
+
+// Build channel list from comma-separated webhook URLs per platform
+function parseChatChannels(urlsByPlatform) {
+  const channels = [];
+  for (const [platform, value] of Object.entries(urlsByPlatform)) {
+    (value || '').split(',').map(url => url.trim()).filter(Boolean)
+      .forEach(url => channels.push({ platform, url }));
+  }
+  return channels;
+}
+
+module.exports = { ChatNotifier, parseChatChannels, FORMATTERS, EVENT_ICONS };
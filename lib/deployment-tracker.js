@@ -0,0 +1,115 @@
+/**
+ * Deployment Tracker
+ *
+ * Follows a deployment through its lifecycle by provider deployment ID
+ * (initializing → queued → building → deploying → success/failure/crash)
+ * and keeps the timeline of stage transitions with computed durations.
+ */
+
+const { notificationField } = require('./notification-store');
+
+// Events that end a deployment's pipeline
+const TERMINAL_STAGES = ['deployment_success', 'deployment_failure', 'service_crash', 'removed', 'skipped'];
+// Stages raised by this server about a deployment; they do not end the stage before them
+const SYNTHETIC_STAGES = ['deployment_stuck', 'deployment_recovered', 'deployment_regressed', 'service_flapping',
+  'service_flapping_settled'];
+
+class DeploymentTracker {
+  constructor(options = {}) {
+    this.maxDeployments = options.maxDeployments || 500;
+    this.deployments = new Map();
+  }
+
+  // Rebuild records from stored notifications (newest first, as the store lists them)
+  replay(notifications) {
+    for (let i = notifications.length - 1; i >= 0; i--) {
+      this.record(notifications[i]);
+    }
+  }
+
+  // Add a notification to its deployment's timeline; returns the record or null
+  record(notification) {
+    const deploymentId = notificationField(notification, 'deploymentId');
+    if (!deploymentId) return null;
+
+    const at = notification.receivedAt || new Date().toISOString();
+    let deployment = this.deployments.get(deploymentId);
+
+    if (!deployment) {
+      deployment = {
+        id: deploymentId,
+        project: notification.project,
+        projectId: notificationField(notification, 'projectId'),
+        environment: notificationField(notification, 'environment'),
+        stage: null,
+        status: null,
+        url: null,
+        startedAt: at,
+        finishedAt: null,
+        updatedAt: at,
+        stages: [],
+        durations: {}
+      };
+    }
+
+    deployment.stage = notification.event;
+    deployment.status = notificationField(notification, 'status') || deployment.status;
+    deployment.url = notificationField(notification, 'url') || deployment.url;
+    deployment.updatedAt = at;
+    deployment.stages.push({
+      stage: notification.event,
+      type: notificationField(notification, 'type'),
+      status: notificationField(notification, 'status') || null,
+      at,
+      notificationId: notification.id
+    });
+
+    if (!deployment.finishedAt && TERMINAL_STAGES.includes(notification.event)) {
+      deployment.finishedAt = at;
+    }
+    deployment.durations = computeDurations(deployment);
+
+    // Re-insert so the map stays ordered by last update
+    this.deployments.delete(deploymentId);
+    this.deployments.set(deploymentId, deployment);
+    this.prune();
+
+    return deployment;
+  }
+
+  get(deploymentId) {
+    return this.deployments.get(deploymentId) || null;
+  }
+
+  // Most recently updated deployments first
+  list(limit = 20) {
+    return Array.from(this.deployments.values()).reverse().slice(0, limit);
+  }
+
+  // Forget the least recently updated deployments beyond the limit
+  prune() {
+    while (this.deployments.size > this.maxDeployments) {
+      this.deployments.delete(this.deployments.keys().next().value);
+    }
+  }
+}
+
+// Time spent in a stage: from its first entry until the timeline moves on
+function stageDuration(stages, stage) {
+  const start = stages.findIndex(entry => entry.stage === stage);
+  if (start === -1) return null;
+  const next = stages.slice(start + 1).find(entry => entry.stage !== stage && !SYNTHETIC_STAGES.includes(entry.stage));
+  if (!next) return null;
+  return Date.parse(next.at) - Date.parse(stages[start].at);
+}
+
+function computeDurations(deployment) {
+  return {
+    queueMs: stageDuration(deployment.stages, 'queued'),
+    buildMs: stageDuration(deployment.stages, 'building'),
+    deployMs: stageDuration(deployment.stages, 'deploying'),
+    totalMs: deployment.finishedAt ? Date.parse(deployment.finishedAt) - Date.parse(deployment.startedAt) : null
+  };
+}
+
+module.exports = { DeploymentTracker, TERMINAL_STAGES, SYNTHETIC_STAGES };
@@ -0,0 +1,21 @@
+/**
+ * Duration
+ *
+ * Parses short durations used in config and query parameters:
+ * 30m, 24h, 7d, 4w.
+ */
+
+const UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// "7d" → 604800000; returns null for anything else
+function parseDuration(value) {
+  const match = /^(\d+)([mhdw])$/.exec(String(value || '').trim());
+  return match ? parseInt(match[1], 10) * UNITS[match[2]] : null;
+}
+
+module.exports = { parseDuration };
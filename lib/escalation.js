@@ -0,0 +1,101 @@
+/**
+ * Escalation Manager
+ *
+ * Keeps critical notifications open as unacknowledged alerts. An open alert
+ * is repeated at an escalating interval (so dashboards re-sound it) and, if
+ * nobody acknowledges it within the timeout, escalated to more channels.
+ * Acknowledging an alert clears it everywhere.
+ */
+
+const { getSeverity } = require('./severity');
+const { setLongTimeout, clearLongTimeout } = require('./timers');
+
+class EscalationManager {
+  constructor(options = {}) {
+    this.repeatMs = options.repeatMs || 60 * 1000;
+    this.backoff = options.backoff || 2;
+    this.maxRepeatMs = options.maxRepeatMs || 10 * 60 * 1000;
+    this.escalateAfterMs = options.escalateAfterMs || 15 * 60 * 1000;
+    this.severity = options.severity || 'critical';
+    this.onRepeat = options.onRepeat || (() => {});
+    this.onEscalate = options.onEscalate || (() => {});
+    this.onAcknowledge = options.onAcknowledge || (() => {});
+    // notification ID (string) → alert
+    this.alerts = new Map();
+    this.timers = new Map();
+  }
+
+  // Open an alert if the notification is severe enough; returns the alert or null
+  track(notification) {
+    if (getSeverity(notification) !== this.severity) return null;
+
+    const id = String(notification.id);
+    const alert = {
+      id: notification.id,
+      notification,
+      openedAt: new Date().toISOString(),
+      repeats: 0,
+      nextRepeatAt: null,
+      escalated: false,
+      escalatedAt: null
+    };
+    this.alerts.set(id, alert);
+    this.scheduleRepeat(alert);
+
+    this.timers.set(`${id}:escalate`, setLongTimeout(() => this.escalate(alert), this.escalateAfterMs));
+
+    console.log(`⏰ Alert ${id} open until acknowledged (${notification.project}: ${notification.event})`);
+    return alert;
+  }
+
+  // Delay before the next repeat grows (or shrinks) by the backoff factor, within the maximum
+  scheduleRepeat(alert) {
+    const delay = Math.min(this.repeatMs * Math.pow(this.backoff, alert.repeats), this.maxRepeatMs);
+    alert.nextRepeatAt = new Date(Date.now() + delay).toISOString();
+
+    const timer = setLongTimeout(() => {
+      alert.repeats++;
+      console.log(`🔁 Alert ${alert.id} still unacknowledged - repeat #${alert.repeats}`);
+      this.onRepeat(alert);
+      this.scheduleRepeat(alert);
+    }, delay);
+    this.timers.set(`${alert.id}:repeat`, timer);
+  }
+
+  escalate(alert) {
+    alert.escalated = true;
+    alert.escalatedAt = new Date().toISOString();
+    console.log(`⏫ Alert ${alert.id} unacknowledged for ${Math.round(this.escalateAfterMs / 60000)} min - escalating`);
+    this.onEscalate(alert);
+  }
+
+  // Close an open alert; returns the closed alert or null if it was not open
+  acknowledge(notificationId, acknowledgedBy = 'unknown') {
+    const id = String(notificationId);
+    const alert = this.alerts.get(id);
+    if (!alert) return null;
+
+    clearLongTimeout(this.timers.get(`${id}:repeat`));
+    clearLongTimeout(this.timers.get(`${id}:escalate`));
+    this.timers.delete(`${id}:repeat`);
+    this.timers.delete(`${id}:escalate`);
+    this.alerts.delete(id);
+
+    alert.acknowledgedAt = new Date().toISOString();
+    alert.acknowledgedBy = acknowledgedBy;
+    console.log(`✅ Alert ${id} acknowledged via ${acknowledgedBy}`);
+    this.onAcknowledge(alert);
+    return alert;
+  }
+
+  get(notificationId) {
+    return this.alerts.get(String(notificationId)) || null;
+  }
+
+  // Open alerts, oldest first
+  list() {
+    return Array.from(this.alerts.values());
+  }
+}
+
+module.exports = { EscalationManager };
@@ -0,0 +1,146 @@
+/**
+ * Health Prober
+ *
+ * After a successful deployment, probes the deployed URL (or a health path
+ * on it) for a short period. The deployment is unhealthy as soon as
+ * `failureThreshold` probes in a row fail (non-2xx/3xx status, timeout or
+ * connection error), and verified healthy if the period ends without that.
+ * A newer deployment of the same project and environment cancels the probe.
+ * Only hosts matching `allowedHosts` ("example.com" or "*.example.com") are
+ * probed, since the URL comes from whoever sent the notification.
+ */
+
+const { probeUrl } = require('./http-client');
+const { notificationField } = require('./notification-store');
+
+// Fields set on notifications this server raises itself
+const DERIVED_FIELDS = ['probe', 'transition', 'stuck', 'heartbeat', 'storm'];
+
+// "my-app.up.railway.app" + "/health" → "https://my-app.up.railway.app/health"
+function resolveProbeUrl(deploymentUrl, healthPath) {
+  const base = /^https?:\/\//i.test(deploymentUrl) ? deploymentUrl : `https://${deploymentUrl}`;
+  return healthPath ? new URL(healthPath, base).toString() : base;
+}
+
+// "*.up.railway.app" matches "my-app.up.railway.app" but not "up.railway.app"
+function isAllowedHost(hostname, allowedHosts) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  return allowedHosts.some(pattern => {
+    const allowed = pattern.toLowerCase();
+    return allowed.startsWith('*.') ? host.endsWith(allowed.slice(1)) : host === allowed;
+  });
+}
+
+class HealthProber {
+  constructor(options = {}) {
+    this.enabled = Boolean(options.enabled);
+    this.path = options.path || '';
+    // project → health path, overriding the default path
+    this.paths = options.paths || {};
+    this.allowedHosts = options.allowedHosts || ['*.up.railway.app'];
+    this.durationMs = options.durationMs || 60 * 1000;
+    this.intervalMs = options.intervalMs || 10 * 1000;
+    this.timeout = options.timeout || 5000;
+    this.failureThreshold = options.failureThreshold || 2;
+    this.onResult = options.onResult || (() => {});
+    // project/environment → running probe
+    this.probes = new Map();
+  }
+
+  // Start probing if the notification is a deployment success with a URL; returns the probe or null
+  watch(notification) {
+    // Derived notifications (probe results, transitions, stuck, heartbeat and storm alerts) are
+    // not part of the deployment's lifecycle, so they neither start nor cancel probes
+    if (!this.enabled || DERIVED_FIELDS.some(field => notification[field])) return null;
+
+    const key = JSON.stringify([notification.project, notificationField(notification, 'environment') || null]);
+    const running = this.probes.get(key);
+    if (running) {
+      // Superseded by whatever this deployment does next
+      this.stop(running);
+      console.log(`🩺 Health probe for ${running.url} cancelled by a newer ${notification.event}`);
+    }
+
+    const deploymentUrl = notificationField(notification, 'url');
+    if (notification.event !== 'deployment_success' || !deploymentUrl) return null;
+
+    let url;
+    try {
+      url = resolveProbeUrl(deploymentUrl, this.paths[notification.project] || this.path);
+    } catch (error) {
+      console.log(`🩺 Cannot probe ${deploymentUrl}: ${error.message}`);
+      return null;
+    }
+    const { protocol, hostname } = new URL(url);
+    if (!['http:', 'https:'].includes(protocol) || !isAllowedHost(hostname, this.allowedHosts)) {
+      console.log(`🩺 Not probing ${url}: host is not in HEALTH_PROBE_HOSTS`);
+      return null;
+    }
+
+    const probe = {
+      key,
+      url,
+      notification,
+      startedAt: Date.now(),
+      results: [],
+      consecutiveFailures: 0,
+      timer: null,
+      stopped: false
+    };
+    this.probes.set(key, probe);
+    console.log(`🩺 Probing ${url} for ${Math.round(this.durationMs / 1000)}s after ${notification.project} deployed`);
+    this.runProbe(probe);
+    return probe;
+  }
+
+  async runProbe(probe) {
+    let result;
+    try {
+      const { statusCode, latencyMs } = await probeUrl(probe.url, { timeout: this.timeout });
+      result = { ok: statusCode >= 200 && statusCode < 400, statusCode, latencyMs };
+    } catch (error) {
+      result = { ok: false, statusCode: null, latencyMs: null, error: error.message };
+    }
+    if (probe.stopped) return;
+
+    probe.results.push(result);
+    probe.consecutiveFailures = result.ok ? 0 : probe.consecutiveFailures + 1;
+
+    if (probe.consecutiveFailures >= this.failureThreshold) {
+      return this.finish(probe, false);
+    }
+    if (Date.now() - probe.startedAt + this.intervalMs > this.durationMs) {
+      return this.finish(probe, probe.consecutiveFailures === 0);
+    }
+    probe.timer = setTimeout(() => this.runProbe(probe), this.intervalMs);
+    probe.timer.unref();
+  }
+
+  finish(probe, healthy) {
+    this.stop(probe);
+    const latencies = probe.results.map(result => result.latencyMs).filter(latency => latency !== null);
+    const last = probe.results[probe.results.length - 1];
+    console.log(`🩺 ${probe.url} ${healthy ? 'verified healthy' : 'unhealthy'} after ${probe.results.length} probe(s)`);
+    this.onResult({
+      healthy,
+      url: probe.url,
+      notification: probe.notification,
+      probes: probe.results.length,
+      failures: probe.results.filter(result => !result.ok).length,
+      statusCode: last.statusCode,
+      latencyMs: last.latencyMs,
+      maxLatencyMs: latencies.length > 0 ? Math.max(...latencies) : null,
+      error: last.error || null
+    });
+  }
+
+  stop(probe) {
+    probe.stopped = true;
+    clearTimeout(probe.timer);
+    if (this.probes.get(probe.key) === probe) {
+      this.probes.delete(probe.key);
+    }
+  }
+}
+
+module.exports = { HealthProber, resolveProbeUrl, isAllowedHost };
@@ -0,0 +1,153 @@
+/**
+ * Heartbeat Monitor
+ *
+ * Dead-man's switch: each schedule expects a matching notification at least
+ * once per period and raises an alert when one does not arrive in time.
+ * Matching notifications come through the normal ingestion path, so any
+ * /notify producer (e.g. scripts/deployment-alert.js) doubles as a heartbeat.
+ *
+ *   {
+ *     "name": "nightly ingest deploys daily",
+ *     "project": "nightly-ingest",
+ *     "event": "deployment_success",    (optional, a value or a list)
+ *     "environment": "production",      (optional)
+ *     "every": "24h",                   (30m, 24h, 7d, ...)
+ *     "grace": "15m",                   (optional extra time before alerting)
+ *     "severity": "critical"            (optional, default warning)
+ *   }
+ */
+
+const fs = require('fs');
+const { parseDuration } = require('./duration');
+const { notificationField } = require('./notification-store');
+const { isSeverity } = require('./severity');
+const { setLongTimeout, clearLongTimeout } = require('./timers');
+const { parseList } = require('./lists');
+
+// Validate a schedule; throws on invalid config
+function compileSchedule(schedule, index) {
+  const label = schedule && schedule.name ? `"${schedule.name}"` : `#${index + 1}`;
+  if (!schedule || typeof schedule !== 'object' || !schedule.project) {
+    throw new Error(`Heartbeat schedule ${label} needs a project`);
+  }
+  const everyMs = parseDuration(schedule.every);
+  if (!everyMs) {
+    throw new Error(`Heartbeat schedule ${label} needs "every" like 30m, 24h or 7d`);
+  }
+  const graceMs = schedule.grace === undefined ? 0 : parseDuration(schedule.grace);
+  if (graceMs === null) {
+    throw new Error(`Heartbeat schedule ${label} has an invalid grace period`);
+  }
+  if (schedule.severity && !isSeverity(schedule.severity)) {
+    throw new Error(`Heartbeat schedule ${label} has an unknown severity`);
+  }
+
+  return {
+    name: schedule.name || `${schedule.project} every ${schedule.every}`,
+    project: String(schedule.project),
+    event: parseList(schedule.event),
+    environment: parseList(schedule.environment),
+    every: schedule.every,
+    everyMs,
+    graceMs,
+    severity: schedule.severity || 'warning',
+    lastSeenAt: null,
+    deadline: null,
+    missed: false,
+    timer: null
+  };
+}
+
+class HeartbeatMonitor {
+  constructor(schedules = [], options = {}) {
+    if (!Array.isArray(schedules)) {
+      throw new Error('Heartbeat schedules must be a JSON array');
+    }
+    this.schedules = schedules.map(compileSchedule);
+    this.onMissed = options.onMissed || (() => {});
+    this.onRecovered = options.onRecovered || (() => {});
+  }
+
+  matches(schedule, notification) {
+    return notification.project === schedule.project &&
+      (!schedule.event || schedule.event.includes(notification.event)) &&
+      (!schedule.environment || schedule.environment.includes(notificationField(notification, 'environment')));
+  }
+
+  // Arm every schedule from the latest matching notification in history (newest first),
+  // or give it a full period from now if there is none
+  start(history = []) {
+    this.schedules.forEach(schedule => {
+      const last = history.find(notification => !notification.heartbeat && this.matches(schedule, notification));
+      schedule.lastSeenAt = last ? Date.parse(last.receivedAt || last.timestamp) : Date.now();
+
+      // Already reported missed before a restart: stay missed without alerting again
+      const alert = history.find(notification => notification.heartbeat && notification.heartbeat.schedule === schedule.name);
+      if (alert && alert.event === 'heartbeat_missed' && (!last || alert.id > last.id)) {
+        schedule.missed = true;
+        schedule.deadline = schedule.lastSeenAt + schedule.everyMs + schedule.graceMs;
+        return;
+      }
+      this.arm(schedule);
+    });
+  }
+
+  arm(schedule) {
+    clearLongTimeout(schedule.timer);
+    schedule.deadline = schedule.lastSeenAt + schedule.everyMs + schedule.graceMs;
+    // Periods like 4w are longer than setTimeout can wait in one go
+    schedule.timer = setLongTimeout(() => this.miss(schedule), schedule.deadline - Date.now());
+  }
+
+  miss(schedule) {
+    schedule.missed = true;
+    console.log(`💀 Heartbeat "${schedule.name}" missed: nothing from ${schedule.project} since ${new Date(schedule.lastSeenAt).toISOString()}`);
+    this.onMissed(schedule);
+  }
+
+  // Every ingested notification may be a heartbeat
+  observe(notification) {
+    // Our own heartbeat alerts are not heartbeats
+    if (notification.heartbeat) return;
+
+    this.schedules.forEach(schedule => {
+      if (!this.matches(schedule, notification)) return;
+
+      const wasMissed = schedule.missed;
+      schedule.lastSeenAt = Date.parse(notification.receivedAt || notification.timestamp) || Date.now();
+      schedule.missed = false;
+      this.arm(schedule);
+      if (wasMissed) {
+        console.log(`💓 Heartbeat "${schedule.name}" is back`);
+        this.onRecovered(schedule, notification);
+      }
+    });
+  }
+
+  // Schedules with their current state
+  list() {
+    return this.schedules.map(schedule => ({
+      name: schedule.name,
+      project: schedule.project,
+      event: schedule.event,
+      environment: schedule.environment,
+      every: schedule.every,
+      lastSeenAt: schedule.lastSeenAt ? new Date(schedule.lastSeenAt).toISOString() : null,
+      deadline: schedule.deadline ? new Date(schedule.deadline).toISOString() : null,
+      status: schedule.missed ? 'missed' : 'ok'
+    }));
+  }
+}
+
+function loadHeartbeatSchedules(options = {}) {
+  const handlers = { onMissed: options.onMissed, onRecovered: options.onRecovered };
+  if (options.json) {
+    return new HeartbeatMonitor(JSON.parse(options.json), handlers);
+  }
+  if (options.path) {
+    return new HeartbeatMonitor(JSON.parse(fs.readFileSync(options.path, 'utf8')), handlers);
+  }
+  return new HeartbeatMonitor([], handlers);
+}
+
+module.exports = { HeartbeatMonitor, loadHeartbeatSchedules };
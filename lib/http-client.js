@@ -0,0 +1,84 @@
+/**
+ * HTTP Client
+ *
+ * Minimal JSON POST and health-probe helpers on top of the built-in
+ * http/https modules.
+ */
+
+const http = require('http');
+const https = require('https');
+
+// POST a JSON body; resolves with { statusCode, data } for any HTTP response
+function postJson(targetUrl, body, options = {}) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(targetUrl);
+    const isHttps = parsedUrl.protocol === 'https:';
+    const client = isHttps ? https : http;
+    const payload = JSON.stringify(body);
+
+    const req = client.request({
+      hostname: parsedUrl.hostname,
+      port: parsedUrl.port || (isHttps ? 443 : 80),
+      path: parsedUrl.pathname + parsedUrl.search,
+      method: 'POST',
+      timeout: options.timeout || 5000,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        'User-Agent': 'Deployment-Alert/2.0',
+        ...options.headers
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, data });
+      });
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy(new Error('Request timeout'));
+    });
+
+    req.write(payload);
+    req.end();
+  });
+}
+
+// GET a URL, ignoring the body; resolves with { statusCode, latencyMs } for any HTTP response
+function probeUrl(targetUrl, options = {}) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(targetUrl);
+    const isHttps = parsedUrl.protocol === 'https:';
+    const client = isHttps ? https : http;
+    const started = Date.now();
+
+    const req = client.request({
+      hostname: parsedUrl.hostname,
+      port: parsedUrl.port || (isHttps ? 443 : 80),
+      path: parsedUrl.pathname + parsedUrl.search,
+      method: 'GET',
+      timeout: options.timeout || 5000,
+      headers: {
+        'User-Agent': 'Deployment-Alert/2.0 (health probe)',
+        ...options.headers
+      }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, latencyMs: Date.now() - started });
+      });
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy(new Error('Request timeout'));
+    });
+    req.end();
+  });
+}
+
+module.exports = { postJson, probeUrl };
@@ -0,0 +1,53 @@
+/**
+ * Idempotency Cache
+ *
+ * Remembers what was ingested under a key for a configurable window, so that
+ * retried deliveries can be answered with the original result instead of
+ * being stored and broadcast again.
+ */
+
+class IdempotencyCache {
+  constructor(options = {}) {
+    this.windowMs = options.windowMs !== undefined ? options.windowMs : 10 * 60 * 1000;
+    this.entries = new Map();
+  }
+
+  get enabled() {
+    return this.windowMs > 0;
+  }
+
+  // Original value stored under the key, or null
+  get(key) {
+    if (!key || !this.enabled) return null;
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  set(key, value) {
+    if (!key || !this.enabled) return;
+    this.purge();
+    this.entries.set(key, { value, expiresAt: Date.now() + this.windowMs });
+  }
+
+  // Drop expired entries (Map keeps insertion order, so stop at the first live one)
+  purge(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt > now) break;
+      this.entries.delete(key);
+    }
+  }
+}
+
+// Key for a delivery of one deployment event. The provider's own event timestamp
+// is included when there is one: retries repeat it, genuine repeats (crash loops) do not.
+function deploymentEventKey(deploymentId, event, sourceTimestamp) {
+  if (!deploymentId) return null;
+  return `deployment:${deploymentId}:${event}${sourceTimestamp ? `:${sourceTimestamp}` : ''}`;
+}
+
+module.exports = { IdempotencyCache, deploymentEventKey };
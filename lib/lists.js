@@ -0,0 +1,18 @@
+/**
+ * Lists
+ *
+ * Parses list values used in config, query parameters and subscribe
+ * messages: a single value, an array, or comma-separated values.
+ */
+
+// "a, b" or ["a", "b,c"] → ["a", "b", "c"]; returns null when nothing is listed
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const values = (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+  return values.length > 0 ? values : null;
+}
+
+module.exports = { parseList };
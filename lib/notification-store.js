@@ -0,0 +1,230 @@
+/**
+ * Notification Store
+ *
+ * Pluggable persistence layer for deployment notifications. Every ingestion
+ * route writes through the store, and the history API / SSE stream read from it.
+ *
+ * Drivers:
+ * - file:   JSON lines file on disk, survives restarts (default)
+ * - memory: process memory only, lost on restart
+ *
+ * Retention is enforced by age (maxAgeMs) and by count (maxCount).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Keep everything in memory, newest first
+class MemoryStore {
+  constructor(options = {}) {
+    this.maxCount = options.maxCount || 1000;
+    this.maxAgeMs = options.maxAgeMs || 0;
+    this.notifications = [];
+    this.lastId = 0;
+  }
+
+  // Unique, strictly increasing notification ID (milliseconds, bumped on collision)
+  nextId() {
+    this.lastId = Math.max(Date.now(), this.lastId + 1);
+    return this.lastId;
+  }
+
+  // Keep nextId() ahead of every ID already in the store
+  noteId(id) {
+    if (typeof id === 'number' && id > this.lastId) {
+      this.lastId = id;
+    }
+  }
+
+  // Store a notification and apply retention
+  add(notification) {
+    this.noteId(notification.id);
+    this.notifications.unshift(notification);
+    this.prune();
+    return notification;
+  }
+
+  // Most recent notifications, newest first
+  list(limit = this.notifications.length) {
+    return this.notifications.slice(0, limit);
+  }
+
+  // Notifications newer than the given ID, oldest first (for SSE resume)
+  listAfter(id) {
+    const newer = [];
+    for (const notification of this.notifications) {
+      if (!(notification.id > id)) break;
+      newer.push(notification);
+    }
+    return newer.reverse();
+  }
+
+  // Filtered, cursor-paginated view of the history
+  query(options = {}) {
+    const order = options.order === 'asc' ? 'asc' : 'desc';
+    const limit = options.limit || 10;
+    let candidates = order === 'asc' ? this.notifications.slice().reverse() : this.notifications;
+
+    if (options.cursor) {
+      const cursorId = decodeCursor(options.cursor);
+      const index = candidates.findIndex(notification => String(notification.id) === cursorId);
+      if (index === -1) {
+        throw new Error('Cursor is invalid or has expired');
+      }
+      candidates = candidates.slice(index + 1);
+    }
+
+    const search = options.search ? options.search.toLowerCase() : null;
+    const matches = [];
+    for (const notification of candidates) {
+      if (!matchesFilters(notification, options, search)) continue;
+      matches.push(notification);
+      // One extra match tells us whether there is another page
+      if (matches.length > limit) break;
+    }
+
+    const page = matches.slice(0, limit);
+    const hasMore = matches.length > limit;
+    return {
+      notifications: page,
+      count: page.length,
+      order,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1].id) : null
+    };
+  }
+
+  get size() {
+    return this.notifications.length;
+  }
+
+  // Drop notifications that are too old or beyond the count limit
+  prune() {
+    const before = this.notifications.length;
+
+    if (this.maxAgeMs > 0) {
+      const cutoff = Date.now() - this.maxAgeMs;
+      this.notifications = this.notifications.filter(notification => {
+        const time = Date.parse(notification.receivedAt || notification.timestamp);
+        return Number.isNaN(time) || time >= cutoff;
+      });
+    }
+
+    if (this.notifications.length > this.maxCount) {
+      this.notifications = this.notifications.slice(0, this.maxCount);
+    }
+
+    return before - this.notifications.length;
+  }
+}
+
+// Memory store backed by an append-only JSON lines file
+class FileStore extends MemoryStore {
+  constructor(options = {}) {
+    super(options);
+    this.filePath = path.resolve(options.path || 'data/notifications.jsonl');
+    this.linesOnDisk = 0;
+    // Rewrite the file once this many pruned lines have piled up in it
+    this.compactThreshold = options.compactThreshold || Math.max(100, Math.ceil(this.maxCount / 2));
+    this.load();
+  }
+
+  // Read existing history from disk (file is oldest first)
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) return;
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+    for (const line of lines) {
+      try {
+        const notification = JSON.parse(line);
+        this.noteId(notification.id);
+        this.notifications.unshift(notification);
+      } catch (error) {
+        console.log(`⚠️ Skipping corrupt line in ${this.filePath}`);
+      }
+    }
+    this.linesOnDisk = lines.length;
+    this.prune();
+  }
+
+  add(notification) {
+    fs.appendFileSync(this.filePath, JSON.stringify(notification) + '\n');
+    this.linesOnDisk++;
+    return super.add(notification);
+  }
+
+  prune() {
+    const removed = super.prune();
+    if (this.linesOnDisk - this.notifications.length >= this.compactThreshold) {
+      this.compact();
+    }
+    return removed;
+  }
+
+  // Rewrite the file with only the retained notifications
+  compact() {
+    const lines = this.notifications
+      .slice()
+      .reverse()
+      .map(notification => JSON.stringify(notification) + '\n')
+      .join('');
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, lines);
+    fs.renameSync(tempPath, this.filePath);
+    this.linesOnDisk = this.notifications.length;
+  }
+}
+
+// Deployment details live under railwayData (Railway) or providerData (other providers)
+function notificationField(notification, field) {
+  if (notification[field] !== undefined) return notification[field];
+  const details = notification.railwayData || notification.providerData;
+  return details ? details[field] : undefined;
+}
+
+// Does a notification satisfy every filter given to query()?
+function matchesFilters(notification, filters, search) {
+  if (filters.project && !filters.project.includes(notification.project)) return false;
+  if (filters.event && !filters.event.includes(notification.event)) return false;
+  if (filters.environment && !filters.environment.includes(notificationField(notification, 'environment'))) return false;
+
+  if (filters.status) {
+    const status = String(notificationField(notification, 'status') || '').toLowerCase();
+    if (!filters.status.includes(status)) return false;
+  }
+
+  if (filters.since || filters.until) {
+    const time = Date.parse(notification.receivedAt || notification.timestamp);
+    if (filters.since && !(time >= filters.since.getTime())) return false;
+    if (filters.until && !(time <= filters.until.getTime())) return false;
+  }
+
+  if (search && !String(notification.message || '').toLowerCase().includes(search)) return false;
+
+  return true;
+}
+
+function encodeCursor(id) {
+  return Buffer.from(String(id)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  return Buffer.from(String(cursor), 'base64url').toString();
+}
+
+const STORE_DRIVERS = {
+  memory: MemoryStore,
+  file: FileStore
+};
+
+// Create a store from a driver name (defaults to the file driver)
+function createNotificationStore(options = {}) {
+  const driver = options.driver || 'file';
+  const Store = STORE_DRIVERS[driver];
+  if (!Store) {
+    throw new Error(`Unknown notification store driver: ${driver} (available: ${Object.keys(STORE_DRIVERS).join(', ')})`);
+  }
+  return new Store(options);
+}
+
+module.exports = { MemoryStore, FileStore, STORE_DRIVERS, createNotificationStore, notificationField };
@@ -0,0 +1,106 @@
+/**
+ * Notify Payload
+ *
+ * Validation for JSON bodies posted to /notify. A body is either a single
+ * notification object or an array of them (batch form). Fields beyond the
+ * known ones are kept as metadata.
+ */
+
+const { SEVERITY_LEVELS, isSeverity } = require('./severity');
+
+const MAX_BATCH_SIZE = 100;
+
+// Known string fields and whether they are required
+const NOTIFY_FIELDS = {
+  project: true,
+  event: true,
+  message: false,
+  timestamp: false,
+  environment: false,
+  deploymentId: false,
+  status: false,
+  url: false,
+  severity: false
+};
+
+// Validate one notification object
+// Returns { value, errors } where errors is a list of { field, message }
+function validateNotifyItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { value: null, errors: [{ field: null, message: 'Notification must be a JSON object' }] };
+  }
+
+  const errors = [];
+  const value = {};
+  const metadata = {};
+
+  for (const [field, required] of Object.entries(NOTIFY_FIELDS)) {
+    const fieldValue = item[field];
+    if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+      if (required) errors.push({ field, message: `${field} is required` });
+      continue;
+    }
+    if (typeof fieldValue !== 'string') {
+      errors.push({ field, message: `${field} must be a string` });
+      continue;
+    }
+    if (fieldValue.length > 1000) {
+      errors.push({ field, message: `${field} must be at most 1000 characters` });
+      continue;
+    }
+    value[field] = fieldValue;
+  }
+
+  if (value.timestamp && Number.isNaN(Date.parse(value.timestamp))) {
+    errors.push({ field: 'timestamp', message: 'timestamp must be an ISO date' });
+  }
+  if (value.severity && !isSeverity(value.severity)) {
+    errors.push({ field: 'severity', message: `severity must be one of: ${SEVERITY_LEVELS.join(', ')}` });
+  }
+
+  if (item.metadata !== undefined) {
+    if (!item.metadata || typeof item.metadata !== 'object' || Array.isArray(item.metadata)) {
+      errors.push({ field: 'metadata', message: 'metadata must be an object' });
+    } else {
+      Object.assign(metadata, item.metadata);
+    }
+  }
+
+  // Anything else is caller-defined metadata
+  for (const [field, fieldValue] of Object.entries(item)) {
+    if (!(field in NOTIFY_FIELDS) && field !== 'metadata') {
+      metadata[field] = fieldValue;
+    }
+  }
+  if (Object.keys(metadata).length > 0) {
+    value.metadata = metadata;
+  }
+
+  return { value, errors };
+}
+
+// Validate a single object or a batch array
+// Returns { items, batch, errors } where errors carry the batch index
+function validateNotifyBody(body) {
+  const batch = Array.isArray(body);
+  const inputs = batch ? body : [body];
+
+  if (batch && inputs.length === 0) {
+    return { items: [], batch, errors: [{ index: null, field: null, message: 'Batch must contain at least one notification' }] };
+  }
+  if (inputs.length > MAX_BATCH_SIZE) {
+    return { items: [], batch, errors: [{ index: null, field: null, message: `Batch must contain at most ${MAX_BATCH_SIZE} notifications` }] };
+  }
+
+  const items = [];
+  const errors = [];
+  inputs.forEach((input, index) => {
+    const result = validateNotifyItem(input);
+    items.push(result.value);
+    result.errors.forEach(error => errors.push({ index: batch ? index : null, ...error }));
+  });
+
+  return { items, batch, errors };
+}
+
+module.exports = { validateNotifyBody, validateNotifyItem, MAX_BATCH_SIZE };
@@ -0,0 +1,111 @@
+/**
+ * GitHub Actions Adapter
+ *
+ * Handles `workflow_run` and `deployment_status` webhooks, signed with
+ * X-Hub-Signature-256 (HMAC-SHA256, "sha256=" prefix).
+ */
+
+const { WebhookVerifier } = require('../webhook-security');
+
+const WORKFLOW_CONCLUSION_MAP = {
+  success: 'deployment_success',
+  failure: 'deployment_failure',
+  timed_out: 'deployment_failure',
+  startup_failure: 'deployment_failure',
+  cancelled: 'skipped',
+  skipped: 'skipped'
+};
+
+const DEPLOYMENT_STATE_MAP = {
+  pending: 'initializing',
+  queued: 'queued',
+  in_progress: 'deploying',
+  success: 'deployment_success',
+  failure: 'deployment_failure',
+  error: 'deployment_failure',
+  inactive: 'removed'
+};
+
+function normalizeWorkflowRun(data) {
+  const run = data.workflow_run || {};
+  const branch = run.head_branch || 'unknown branch';
+  let event;
+  let message;
+
+  if (data.action === 'requested') {
+    event = 'queued';
+    message = `Workflow "${run.name}" queued on ${branch}`;
+  } else if (data.action === 'in_progress') {
+    event = 'building';
+    message = `Workflow "${run.name}" running on ${branch}`;
+  } else if (data.action === 'completed') {
+    event = WORKFLOW_CONCLUSION_MAP[run.conclusion] || 'deployment_failure';
+    message = `Workflow "${run.name}" ${run.conclusion || 'completed'} on ${branch}`;
+  } else {
+    return null;
+  }
+
+  return {
+    project: data.repository?.name || 'Unknown Repository',
+    event,
+    message,
+    providerData: {
+      type: `workflow_run.${data.action}`,
+      projectId: data.repository?.full_name,
+      deploymentId: run.id !== undefined ? String(run.id) : undefined,
+      environment: run.head_branch,
+      status: run.conclusion || run.status,
+      url: run.html_url
+    }
+  };
+}
+
+function normalizeDeploymentStatus(data) {
+  const status = data.deployment_status || {};
+  const deployment = data.deployment || {};
+  const env = status.environment || deployment.environment || 'production';
+  const event = DEPLOYMENT_STATE_MAP[status.state];
+  if (!event) return null;
+
+  const url = status.environment_url || status.target_url;
+  return {
+    project: data.repository?.name || 'Unknown Repository',
+    event,
+    message: event === 'deployment_success' && url
+      ? `Successfully deployed to ${env} at ${url}`
+      : `Deployment ${status.state} for ${env}`,
+    providerData: {
+      type: `deployment_status.${status.state}`,
+      projectId: data.repository?.full_name,
+      deploymentId: deployment.id !== undefined ? String(deployment.id) : undefined,
+      environment: env,
+      status: status.state,
+      url
+    }
+  };
+}
+
+function createGithubAdapter(options = {}) {
+  return {
+    name: 'github',
+    verifier: new WebhookVerifier({ ...options, scheme: 'hmac-sha256', requireTimestamp: false }),
+
+    getSignature(req) {
+      return req.headers['x-hub-signature-256'];
+    },
+
+    normalize(data, req) {
+      switch (req.headers['x-github-event']) {
+        case 'workflow_run':
+          return normalizeWorkflowRun(data);
+        case 'deployment_status':
+          return normalizeDeploymentStatus(data);
+        default:
+          // ping and unrelated events are acknowledged but ignored
+          return null;
+      }
+    }
+  };
+}
+
+module.exports = { createGithubAdapter };
@@ -0,0 +1,96 @@
+/**
+ * GitLab CI Adapter
+ *
+ * Handles Pipeline and Deployment hooks. GitLab sends the configured secret
+ * token verbatim in X-Gitlab-Token.
+ */
+
+const { WebhookVerifier } = require('../webhook-security');
+
+const PIPELINE_STATUS_MAP = {
+  created: 'queued',
+  waiting_for_resource: 'queued',
+  preparing: 'queued',
+  pending: 'queued',
+  running: 'building',
+  success: 'deployment_success',
+  failed: 'deployment_failure',
+  canceled: 'skipped',
+  skipped: 'skipped'
+};
+
+const DEPLOYMENT_STATUS_MAP = {
+  created: 'initializing',
+  running: 'deploying',
+  success: 'deployment_success',
+  failed: 'deployment_failure',
+  canceled: 'skipped'
+};
+
+function normalizePipeline(data) {
+  const pipeline = data.object_attributes || {};
+  const event = PIPELINE_STATUS_MAP[pipeline.status];
+  if (!event) return null;
+
+  const ref = pipeline.ref || 'unknown ref';
+  return {
+    project: data.project?.name || 'Unknown Project',
+    event,
+    message: `Pipeline #${pipeline.id} ${pipeline.status} on ${ref}`,
+    providerData: {
+      type: `pipeline.${pipeline.status}`,
+      projectId: data.project?.id !== undefined ? String(data.project.id) : undefined,
+      deploymentId: pipeline.id !== undefined ? String(pipeline.id) : undefined,
+      environment: pipeline.ref,
+      status: pipeline.status,
+      url: data.project?.web_url && pipeline.id ? `${data.project.web_url}/-/pipelines/${pipeline.id}` : undefined
+    }
+  };
+}
+
+function normalizeDeployment(data) {
+  const event = DEPLOYMENT_STATUS_MAP[data.status];
+  if (!event) return null;
+
+  const env = data.environment || 'production';
+  const url = data.environment_external_url;
+  return {
+    project: data.project?.name || 'Unknown Project',
+    event,
+    message: event === 'deployment_success' && url
+      ? `Successfully deployed to ${env} at ${url}`
+      : `Deployment ${data.status} for ${env}`,
+    providerData: {
+      type: `deployment.${data.status}`,
+      projectId: data.project?.id !== undefined ? String(data.project.id) : undefined,
+      deploymentId: data.deployment_id !== undefined ? String(data.deployment_id) : undefined,
+      environment: env,
+      status: data.status,
+      url
+    }
+  };
+}
+
+function createGitlabAdapter(options = {}) {
+  return {
+    name: 'gitlab',
+    verifier: new WebhookVerifier({ ...options, scheme: 'token', requireTimestamp: false }),
+
+    getSignature(req) {
+      return req.headers['x-gitlab-token'];
+    },
+
+    normalize(data) {
+      switch (data.object_kind) {
+        case 'pipeline':
+          return normalizePipeline(data);
+        case 'deployment':
+          return normalizeDeployment(data);
+        default:
+          return null;
+      }
+    }
+  };
+}
+
+module.exports = { createGitlabAdapter };
@@ -0,0 +1,40 @@
+/**
+ * Provider Adapters
+ *
+ * Each adapter verifies its provider's signature scheme and normalizes the
+ * payload into the shared notification shape:
+ *
+ *   { project, event, message, providerData | railwayData }
+ *
+ * Adapter interface:
+ * - name                 Route name, served at /webhook/:name
+ * - verifier             WebhookVerifier configured for the provider's scheme
+ * - getSignature(req)    Signature/token header value
+ * - getTimestamp(data)   Optional signed timestamp used for replay protection
+ * - normalize(data, req) Notification fields, or null to acknowledge and ignore
+ */
+
+const { createRailwayAdapter } = require('./railway');
+const { createGithubAdapter } = require('./github');
+const { createGitlabAdapter } = require('./gitlab');
+const { createVercelAdapter } = require('./vercel');
+const { createNetlifyAdapter } = require('./netlify');
+
+const ADAPTER_FACTORIES = {
+  railway: createRailwayAdapter,
+  github: createGithubAdapter,
+  gitlab: createGitlabAdapter,
+  vercel: createVercelAdapter,
+  netlify: createNetlifyAdapter
+};
+
+// Build every adapter; options are keyed by provider name
+function createProviderAdapters(options = {}) {
+  const adapters = {};
+  for (const [name, create] of Object.entries(ADAPTER_FACTORIES)) {
+    adapters[name] = create(options[name] || {});
+  }
+  return adapters;
+}
+
+module.exports = { ADAPTER_FACTORIES, createProviderAdapters };
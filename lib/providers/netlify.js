@@ -0,0 +1,64 @@
+/**
+ * Netlify Adapter
+ *
+ * Handles deploy notification webhooks. Netlify signs them with a JWS in
+ * X-Webhook-Signature whose claims carry the SHA-256 of the body.
+ */
+
+const { WebhookVerifier } = require('../webhook-security');
+
+const NETLIFY_STATE_MAP = {
+  new: 'initializing',
+  enqueued: 'queued',
+  building: 'building',
+  uploading: 'deploying',
+  uploaded: 'deploying',
+  processing: 'deploying',
+  prepared: 'deploying',
+  ready: 'deployment_success',
+  error: 'deployment_failure',
+  rejected: 'deployment_failure'
+};
+
+function createNetlifyAdapter(options = {}) {
+  return {
+    name: 'netlify',
+    verifier: new WebhookVerifier({ ...options, scheme: 'jws', requireTimestamp: false }),
+
+    getSignature(req) {
+      return req.headers['x-webhook-signature'];
+    },
+
+    normalize(data) {
+      const event = NETLIFY_STATE_MAP[data.state];
+      if (!event) return null;
+
+      const env = data.context || 'production';
+      const url = data.deploy_ssl_url || data.ssl_url || data.url;
+      let message;
+      if (event === 'deployment_success') {
+        message = url ? `Successfully deployed to ${env} at ${url}` : `Successfully deployed to ${env}`;
+      } else if (event === 'deployment_failure') {
+        message = data.error_message ? `Deployment failed for ${env}: ${data.error_message}` : `Deployment failed for ${env}`;
+      } else {
+        message = `Deployment ${data.state} for ${env}`;
+      }
+
+      return {
+        project: data.name || 'Unknown Site',
+        event,
+        message,
+        providerData: {
+          type: `deploy.${data.state}`,
+          projectId: data.site_id,
+          deploymentId: data.id,
+          environment: env,
+          status: data.state,
+          url
+        }
+      };
+    }
+  };
+}
+
+module.exports = { createNetlifyAdapter };
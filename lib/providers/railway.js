@@ -0,0 +1,87 @@
+/**
+ * Railway Adapter
+ *
+ * Railway deployment webhooks, signed with X-Railway-Signature (HMAC-SHA256).
+ */
+
+const { WebhookVerifier } = require('../webhook-security');
+
+// Railway webhook event mapping
+const RAILWAY_EVENT_MAP = {
+  'deployment.initialize': 'initializing',
+  'deployment.queued': 'queued', 
+  'deployment.building': 'building',
+  'deployment.deploying': 'deploying',
+  'deployment.success': 'deployment_success',
+  'deployment.failed': 'deployment_failure',
+  'deployment.crashed': 'service_crash',
+  'deployment.sleeping': 'sleeping',
+  'deployment.removed': 'removed',
+  'deployment.skipped': 'skipped'
+};
+
+// Generate human-readable message from Railway webhook data
+function generateEventMessage(type, deployment, environment) {
+  const env = environment?.name || 'production';
+  const url = deployment?.url;
+  
+  switch (type) {
+    case 'deployment.initialize':
+      return `Deployment initialized for ${env}`;
+    case 'deployment.queued':
+      return `Deployment queued for ${env}`;
+    case 'deployment.building':
+      return `Building deployment for ${env}`;
+    case 'deployment.deploying':
+      return `Deploying to ${env}`;
+    case 'deployment.success':
+      return url ? `Successfully deployed to ${env} at ${url}` : `Successfully deployed to ${env}`;
+    case 'deployment.failed':
+      return `Deployment failed for ${env}`;
+    case 'deployment.crashed':
+      return `Service crashed in ${env}`;
+    case 'deployment.sleeping':
+      return `Service sleeping in ${env}`;
+    case 'deployment.removed':
+      return `Deployment removed from ${env}`;
+    case 'deployment.skipped':
+      return `Deployment skipped for ${env}`;
+    default:
+      return `${type} in ${env}`;
+  }
+}
+
+function createRailwayAdapter(options = {}) {
+  return {
+    name: 'railway',
+    verifier: new WebhookVerifier({ ...options, scheme: 'hmac-sha256' }),
+
+    getSignature(req) {
+      return req.headers['x-railway-signature'];
+    },
+
+    // The payload timestamp is covered by the signature
+    getTimestamp(data) {
+      return data.timestamp;
+    },
+
+    normalize(data) {
+      const { type, project, deployment, environment } = data;
+      return {
+        project: project?.name || 'Unknown Project',
+        event: RAILWAY_EVENT_MAP[type] || type,
+        message: generateEventMessage(type, deployment, environment),
+        railwayData: {
+          type,
+          projectId: project?.id,
+          deploymentId: deployment?.id,
+          environment: environment?.name,
+          status: deployment?.status,
+          url: deployment?.url
+        }
+      };
+    }
+  };
+}
+
+module.exports = { createRailwayAdapter, RAILWAY_EVENT_MAP, generateEventMessage };
@@ -0,0 +1,69 @@
+/**
+ * Vercel Adapter
+ *
+ * Handles deployment.* webhooks, signed with X-Vercel-Signature (HMAC-SHA1).
+ */
+
+const { WebhookVerifier } = require('../webhook-security');
+
+const VERCEL_EVENT_MAP = {
+  'deployment.created': 'building',
+  'deployment.succeeded': 'deployment_success',
+  'deployment.ready': 'deployment_success',
+  'deployment.promoted': 'deployment_success',
+  'deployment.error': 'deployment_failure',
+  'deployment.canceled': 'skipped'
+};
+
+function createVercelAdapter(options = {}) {
+  return {
+    name: 'vercel',
+    verifier: new WebhookVerifier({ ...options, scheme: 'hmac-sha1', requireTimestamp: false }),
+
+    getSignature(req) {
+      return req.headers['x-vercel-signature'];
+    },
+
+    normalize(data) {
+      const event = VERCEL_EVENT_MAP[data.type];
+      if (!event) return null;
+
+      const payload = data.payload || {};
+      const deployment = payload.deployment || {};
+      const env = payload.target || 'preview';
+      const host = deployment.url || payload.url;
+      const url = host ? `https://${host.replace(/^https?:\/\//, '')}` : undefined;
+
+      let message;
+      switch (event) {
+        case 'building':
+          message = `Building deployment for ${env}`;
+          break;
+        case 'deployment_success':
+          message = url ? `Successfully deployed to ${env} at ${url}` : `Successfully deployed to ${env}`;
+          break;
+        case 'deployment_failure':
+          message = `Deployment failed for ${env}`;
+          break;
+        default:
+          message = `Deployment canceled for ${env}`;
+      }
+
+      return {
+        project: payload.name || deployment.name || 'Unknown Project',
+        event,
+        message,
+        providerData: {
+          type: data.type,
+          projectId: payload.project?.id,
+          deploymentId: deployment.id,
+          environment: env,
+          status: data.type.replace('deployment.', ''),
+          url
+        }
+      };
+    }
+  };
+}
+
+module.exports = { createVercelAdapter };
@@ -0,0 +1,169 @@
+/**
+ * Push Notifier
+ *
+ * Web Push delivery so alerts arrive even when the dashboard tab is closed.
+ * Manages the VAPID key pair and the browser push subscriptions, both
+ * persisted to disk so they survive restarts. Endpoints must be HTTPS URLs on
+ * a known push service, since the server POSTs to whatever URL it is given.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const webPush = require('web-push');
+const { matchesSubscription } = require('./subscription-filter');
+const { EVENT_ICONS } = require('./chat-notifier');
+const { notificationField } = require('./notification-store');
+const { isAllowedHost } = require('./health-prober');
+
+// Push services used by Chrome/Edge (FCM), Firefox, Edge on Windows (WNS) and Safari
+const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  'android.googleapis.com',
+  '*.push.services.mozilla.com',
+  '*.notify.windows.com',
+  '*.push.apple.com'
+];
+
+// Returns an error message for endpoints the server should not send to, else null
+function validatePushEndpoint(endpoint, allowedHosts = PUSH_SERVICE_HOSTS) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return 'subscription endpoint must be a URL';
+  }
+  if (url.protocol !== 'https:') {
+    return 'subscription endpoint must use https';
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) || hostname === 'localhost' || !isAllowedHost(hostname, allowedHosts)) {
+    return `subscription endpoint ${url.hostname} is not a known push service`;
+  }
+  return null;
+}
+
+// Use keys from the environment, else load (or generate once) a persisted key pair
+function loadVapidKeys(options = {}) {
+  if (options.publicKey && options.privateKey) {
+    return { publicKey: options.publicKey, privateKey: options.privateKey };
+  }
+
+  const keyPath = path.resolve(options.keyPath || 'data/vapid-keys.json');
+  if (fs.existsSync(keyPath)) {
+    return JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+  }
+
+  const keys = webPush.generateVAPIDKeys();
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+  fs.writeFileSync(keyPath, JSON.stringify(keys, null, 2), { mode: 0o600 });
+  console.log(`🔑 Generated VAPID keys in ${keyPath}`);
+  return keys;
+}
+
+class PushNotifier {
+  constructor(options = {}) {
+    this.keys = loadVapidKeys(options);
+    this.subject = options.subject || 'mailto:admin@example.com';
+    this.storePath = path.resolve(options.storePath || 'data/push-subscriptions.json');
+    this.ttlSeconds = options.ttlSeconds || 3600;
+    this.maxSubscriptions = options.maxSubscriptions || 100;
+    // endpoint → { subscription, filter, createdAt }
+    this.subscriptions = new Map();
+    webPush.setVapidDetails(this.subject, this.keys.publicKey, this.keys.privateKey);
+    this.load();
+  }
+
+  get publicKey() {
+    return this.keys.publicKey;
+  }
+
+  get subscriptionCount() {
+    return this.subscriptions.size;
+  }
+
+  load() {
+    if (!fs.existsSync(this.storePath)) return;
+    try {
+      JSON.parse(fs.readFileSync(this.storePath, 'utf8'))
+        // Saved before endpoints were validated
+        .filter(entry => !validatePushEndpoint(entry.subscription.endpoint))
+        .forEach(entry => this.subscriptions.set(entry.subscription.endpoint, entry));
+    } catch (error) {
+      console.log(`⚠️ Could not read push subscriptions from ${this.storePath}:`, error.message);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.writeFileSync(this.storePath, JSON.stringify(Array.from(this.subscriptions.values()), null, 2));
+  }
+
+  // Register (or update) a browser PushSubscription with an optional subscription filter;
+  // returns false if it is new and the store is full
+  subscribe(subscription, filter = null) {
+    if (!this.subscriptions.has(subscription.endpoint) && this.subscriptions.size >= this.maxSubscriptions) {
+      return false;
+    }
+    this.subscriptions.set(subscription.endpoint, {
+      subscription,
+      filter,
+      createdAt: new Date().toISOString()
+    });
+    this.save();
+    return true;
+  }
+
+  unsubscribe(endpoint) {
+    const removed = this.subscriptions.delete(endpoint);
+    if (removed) this.save();
+    return removed;
+  }
+
+  // Push a notification to every matching subscription; returns how many accepted it
+  async notify(notification) {
+    const payload = JSON.stringify(formatPushPayload(notification));
+    const targets = Array.from(this.subscriptions.values())
+      .filter(entry => matchesSubscription(entry.filter, notification));
+
+    const results = await Promise.all(targets.map(async (entry) => {
+      try {
+        await webPush.sendNotification(entry.subscription, payload, { TTL: this.ttlSeconds });
+        return true;
+      } catch (error) {
+        // The browser unsubscribed or the subscription expired
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          console.log('🗑️ Removing expired push subscription');
+          this.unsubscribe(entry.subscription.endpoint);
+        } else {
+          console.log('❌ Push delivery failed:', error.statusCode || '', error.message);
+        }
+        return false;
+      }
+    }));
+
+    const delivered = results.filter(Boolean).length;
+    if (targets.length > 0) {
+      console.log(`📲 Pushed notification ${notification.id} to ${delivered}/${targets.length} subscription(s)`);
+    }
+    return delivered;
+  }
+}
+
+// What the service worker receives and shows
+function formatPushPayload(notification) {
+  const environment = notificationField(notification, 'environment');
+  return {
+    title: `${EVENT_ICONS[notification.event] || '📢'} Deployment Alert: ${notification.project}`,
+    body: `${notification.event}${environment ? ` (${environment})` : ''}: ${notification.message}`,
+    tag: `deployment-${notification.project}-${environment || 'default'}`,
+    url: notificationField(notification, 'url') || null,
+    notification: {
+      id: notification.id,
+      project: notification.project,
+      event: notification.event
+    }
+  };
+}
+
+module.exports = { PushNotifier, loadVapidKeys, formatPushPayload, validatePushEndpoint, PUSH_SERVICE_HOSTS };
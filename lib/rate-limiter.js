@@ -0,0 +1,65 @@
+/**
+ * Rate Limiter
+ *
+ * Fixed-window request counters keyed by source IP, API key or project.
+ * A limit of 0 disables the limiter.
+ */
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.limit = options.limit || 0;
+    this.windowMs = options.windowMs || 60 * 1000;
+    // key → { count, resetAt }
+    this.windows = new Map();
+
+    // Forget windows that have ended
+    this.cleanup = setInterval(() => this.prune(), this.windowMs);
+    this.cleanup.unref();
+  }
+
+  get enabled() {
+    return this.limit > 0;
+  }
+
+  window(key) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+    return window;
+  }
+
+  // Whether cost more requests for key would stay within the limit, without counting them
+  wouldAllow(key, cost = 1) {
+    return !this.enabled || this.window(key).count + cost <= this.limit;
+  }
+
+  // Count cost requests for key if they fit; returns { allowed, limit, remaining, retryAfterMs }
+  hit(key, cost = 1) {
+    if (!this.enabled) {
+      return { allowed: true, limit: 0, remaining: Infinity, retryAfterMs: 0 };
+    }
+    const window = this.window(key);
+    const allowed = window.count + cost <= this.limit;
+    if (allowed) {
+      window.count += cost;
+    }
+    return {
+      allowed,
+      limit: this.limit,
+      remaining: Math.max(this.limit - window.count, 0),
+      retryAfterMs: window.resetAt - Date.now()
+    };
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,137 @@
+/**
+ * Routing Rules
+ *
+ * Declarative rules that decide, per notification, which delivery channels
+ * fire, which sound plays and whether the alert is suppressed. Rules are
+ * checked in order and the first match wins; with no match a notification
+ * goes to every channel.
+ *
+ *   {
+ *     "name": "staging builds only on the dashboard",
+ *     "match": { "environment": "staging", "event": ["building", "deploying"] },
+ *     "channels": ["dashboard"],
+ *     "sound": "building",
+ *     "suppress": false
+ *   }
+ *
+ * Match keys (all optional, every key given must match):
+ * - project, environment, event, severity: a value, a list or comma-separated values
+ * - minSeverity: lowest severity that matches
+ * - message: case-insensitive regular expression tested against the message
+ */
+
+const fs = require('fs');
+const { notificationField } = require('./notification-store');
+const { isSeverity, severityRank, getSeverity } = require('./severity');
+const { parseList } = require('./lists');
+
+const CHANNELS = ['dashboard', 'push', 'slack', 'discord', 'teams'];
+// Shorthands accepted in a rule's channel list
+const CHANNEL_GROUPS = {
+  all: CHANNELS,
+  chat: ['slack', 'discord', 'teams']
+};
+
+// Validate a rule and precompile its matchers; throws on invalid config
+function compileRule(rule, index) {
+  const label = rule && rule.name ? `"${rule.name}"` : `#${index + 1}`;
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Routing rule ${label} must be an object`);
+  }
+
+  const match = rule.match || {};
+  const severity = parseList(match.severity);
+  if (severity && !severity.every(isSeverity)) {
+    throw new Error(`Routing rule ${label} has an unknown severity`);
+  }
+  if (match.minSeverity && !isSeverity(match.minSeverity)) {
+    throw new Error(`Routing rule ${label} has an unknown minSeverity`);
+  }
+
+  let message = null;
+  if (match.message) {
+    try {
+      message = new RegExp(match.message, 'i');
+    } catch (error) {
+      throw new Error(`Routing rule ${label} has an invalid message pattern: ${error.message}`);
+    }
+  }
+
+  let channels = null;
+  if (rule.channels !== undefined) {
+    channels = [];
+    for (const channel of parseList(rule.channels) || []) {
+      const expanded = CHANNEL_GROUPS[channel] || [channel];
+      if (!expanded.every(name => CHANNELS.includes(name))) {
+        throw new Error(`Routing rule ${label} has an unknown channel: ${channel}`);
+      }
+      expanded.forEach(name => {
+        if (!channels.includes(name)) channels.push(name);
+      });
+    }
+  }
+
+  return {
+    name: rule.name || `rule ${index + 1}`,
+    project: parseList(match.project),
+    environment: parseList(match.environment),
+    event: parseList(match.event),
+    severity,
+    minSeverity: match.minSeverity || null,
+    message,
+    channels,
+    sound: rule.sound || null,
+    suppress: Boolean(rule.suppress)
+  };
+}
+
+function ruleMatches(rule, notification) {
+  if (rule.project && !rule.project.includes(notification.project)) return false;
+  if (rule.environment && !rule.environment.includes(notificationField(notification, 'environment'))) return false;
+  if (rule.event && !rule.event.includes(notification.event)) return false;
+
+  const severity = getSeverity(notification);
+  if (rule.severity && !rule.severity.includes(severity)) return false;
+  if (rule.minSeverity && severityRank(severity) < severityRank(rule.minSeverity)) return false;
+
+  if (rule.message && !rule.message.test(notification.message || '')) return false;
+  return true;
+}
+
+class RoutingRules {
+  constructor(rules = []) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Routing rules must be a JSON array');
+    }
+    this.rules = rules.map(compileRule);
+    this.source = rules;
+  }
+
+  // Decide how a notification is delivered
+  // Returns { rule, channels, sound, suppressed }
+  evaluate(notification) {
+    const rule = this.rules.find(candidate => ruleMatches(candidate, notification));
+    if (!rule) {
+      return { rule: null, channels: CHANNELS.slice(), sound: null, suppressed: false };
+    }
+    return {
+      rule: rule.name,
+      channels: rule.suppress ? [] : (rule.channels || CHANNELS.slice()),
+      sound: rule.sound,
+      suppressed: rule.suppress
+    };
+  }
+}
+
+// Rules from a JSON string (ROUTING_RULES) or a JSON file (ROUTING_RULES_PATH)
+function loadRoutingRules(options = {}) {
+  if (options.json) {
+    return new RoutingRules(JSON.parse(options.json));
+  }
+  if (options.path) {
+    return new RoutingRules(JSON.parse(fs.readFileSync(options.path, 'utf8')));
+  }
+  return new RoutingRules([]);
+}
+
+module.exports = { RoutingRules, loadRoutingRules, CHANNELS };
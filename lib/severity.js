@@ -0,0 +1,131 @@
+/**
+ * Severity
+ *
+ * Severity levels for notifications, lowest first, and the model that picks
+ * one for every ingested notification: the event's default severity, shifted
+ * by the environment it happened in, with per-project overrides:
+ *
+ *   {
+ *     "events": { "build_failure": "info" },
+ *     "environments": { "production": 0, "staging": -1, "preview": -2 },
+ *     "projects": {
+ *       "billing": { "events": { "deployment_failure": "critical" }, "environments": { "staging": 0 } }
+ *     }
+ *   }
+ *
+ * Environment shifts are whole levels, clamped to info..critical; names are
+ * matched case-insensitively and unlisted environments are not shifted.
+ */
+
+const fs = require('fs');
+const { notificationField } = require('./notification-store');
+
+const SEVERITY_LEVELS = ['info', 'warning', 'critical'];
+
+// Default severity by event type; anything not listed is info
+const EVENT_SEVERITY = {
+  build_failure: 'warning',
+  deployment_failure: 'warning',
+  service_crash: 'critical',
+  health_check_failed: 'critical',
+  deployment_stuck: 'warning',
+  deployment_regressed: 'warning',
+  service_flapping: 'critical'
+};
+
+// Non-production environments are one level quieter unless configured otherwise
+const DEFAULT_ENVIRONMENT_SHIFTS = {
+  production: 0,
+  staging: -1,
+  development: -1,
+  preview: -1,
+  test: -1
+};
+
+function isSeverity(level) {
+  return SEVERITY_LEVELS.includes(level);
+}
+
+function severityRank(level) {
+  return SEVERITY_LEVELS.indexOf(level);
+}
+
+// Severity of a notification (computed from the event when not stored on it)
+function getSeverity(notification) {
+  return notification.severity || EVENT_SEVERITY[notification.event] || 'info';
+}
+
+function lowerCaseKeys(object) {
+  const result = {};
+  Object.entries(object || {}).forEach(([key, value]) => {
+    result[key.toLowerCase()] = value;
+  });
+  return result;
+}
+
+// Validate one level of config ({ events, environments }); throws on invalid values
+function compileLevel(config, label) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Severity config ${label}must be an object`);
+  }
+  Object.entries(config.events || {}).forEach(([event, level]) => {
+    if (!isSeverity(level)) {
+      throw new Error(`Severity config ${label}has an unknown severity for ${event}: ${level}`);
+    }
+  });
+  Object.entries(config.environments || {}).forEach(([environment, shift]) => {
+    if (!Number.isInteger(shift)) {
+      throw new Error(`Severity config ${label}must shift ${environment} by a whole number of levels`);
+    }
+  });
+  return { events: config.events || {}, environments: lowerCaseKeys(config.environments) };
+}
+
+class SeverityModel {
+  constructor(config = {}) {
+    const { projects = {}, ...defaults } = config;
+    this.defaults = compileLevel(defaults, '');
+    this.defaults.environments = { ...DEFAULT_ENVIRONMENT_SHIFTS, ...this.defaults.environments };
+    this.projects = {};
+    Object.entries(projects).forEach(([project, projectConfig]) => {
+      this.projects[project] = compileLevel(projectConfig, `for project ${project} `);
+    });
+  }
+
+  // Severity for a notification from its event, environment and project
+  classify(notification) {
+    const project = this.projects[notification.project] || { events: {}, environments: {} };
+    const event = notification.event;
+    const base = project.events[event] || this.defaults.events[event] || EVENT_SEVERITY[event] || 'info';
+
+    const environment = notificationField(notification, 'environment');
+    const name = environment ? String(environment).toLowerCase() : null;
+    const shift = name === null ? 0
+      : project.environments[name] !== undefined ? project.environments[name]
+        : this.defaults.environments[name] || 0;
+
+    const rank = Math.min(Math.max(severityRank(base) + shift, 0), SEVERITY_LEVELS.length - 1);
+    return SEVERITY_LEVELS[rank];
+  }
+}
+
+function loadSeverityModel(options = {}) {
+  if (options.json) {
+    return new SeverityModel(JSON.parse(options.json));
+  }
+  if (options.path) {
+    return new SeverityModel(JSON.parse(fs.readFileSync(options.path, 'utf8')));
+  }
+  return new SeverityModel();
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  EVENT_SEVERITY,
+  DEFAULT_ENVIRONMENT_SHIFTS,
+  SeverityModel,
+  loadSeverityModel,
+  isSeverity,
+  severityRank,
+  getSeverity
+};
@@ -0,0 +1,96 @@
+/**
+ * Status Board
+ *
+ * Current state of every project/environment pair, from the notifications
+ * seen so far: the last event, deployment and URL, and whether the service is
+ * healthy. A pair is `in_progress` while a deployment is under way, otherwise
+ * `healthy` or `unhealthy` from its last outcome (`unknown` before one).
+ */
+
+const { notificationField } = require('./notification-store');
+const { getSeverity } = require('./severity');
+
+const HEALTHY_EVENTS = ['deployment_success', 'health_check_passed', 'deployment_recovered', 'heartbeat_recovered'];
+const UNHEALTHY_EVENTS = [
+  'build_failure',
+  'deployment_failure',
+  'service_crash',
+  'health_check_failed',
+  'deployment_stuck',
+  'deployment_regressed',
+  'service_flapping',
+  'heartbeat_missed'
+];
+const IN_PROGRESS_EVENTS = ['initializing', 'queued', 'building', 'deploying', 'build_start', 'build_success'];
+
+class StatusBoard {
+  constructor() {
+    // project/environment → entry
+    this.entries = new Map();
+  }
+
+  // Rebuild the board from history (newest first)
+  resume(history) {
+    history.slice().reverse().forEach(notification => this.observe(notification));
+  }
+
+  // Update the pair a notification belongs to; returns the entry, or null if it does not describe a service
+  observe(notification) {
+    // Storm summaries cover many notifications, not the state of one service
+    if (notification.storm) return null;
+
+    const environment = notificationField(notification, 'environment') || null;
+    const key = JSON.stringify([notification.project, environment]);
+    const at = notification.receivedAt || notification.timestamp || new Date().toISOString();
+    const entry = this.entries.get(key) || {
+      project: notification.project,
+      environment,
+      state: 'unknown',
+      healthy: null,
+      lastEvent: null,
+      lastMessage: null,
+      lastNotificationId: null,
+      severity: null,
+      deploymentId: null,
+      url: null,
+      updatedAt: at,
+      changedAt: at
+    };
+
+    if (HEALTHY_EVENTS.includes(notification.event)) {
+      entry.healthy = true;
+    } else if (UNHEALTHY_EVENTS.includes(notification.event)) {
+      entry.healthy = false;
+    }
+    const state = IN_PROGRESS_EVENTS.includes(notification.event) ? 'in_progress'
+      : entry.healthy === null ? 'unknown' : (entry.healthy ? 'healthy' : 'unhealthy');
+    if (state !== entry.state) {
+      entry.state = state;
+      entry.changedAt = at;
+    }
+
+    entry.lastEvent = notification.event;
+    entry.lastMessage = notification.message || null;
+    entry.lastNotificationId = notification.id;
+    entry.severity = getSeverity(notification);
+    entry.deploymentId = notificationField(notification, 'deploymentId') || entry.deploymentId;
+    entry.url = notificationField(notification, 'url') || entry.url;
+    entry.updatedAt = at;
+    this.entries.set(key, entry);
+    return this.describe(entry);
+  }
+
+  // An entry with the time since its state last changed
+  describe(entry) {
+    return { ...entry, sinceChangeMs: Math.max(Date.now() - Date.parse(entry.changedAt), 0) };
+  }
+
+  // Every pair, by project then environment
+  list() {
+    return Array.from(this.entries.values())
+      .sort((a, b) => a.project.localeCompare(b.project) || String(a.environment).localeCompare(String(b.environment)))
+      .map(entry => this.describe(entry));
+  }
+}
+
+module.exports = { StatusBoard, HEALTHY_EVENTS, UNHEALTHY_EVENTS, IN_PROGRESS_EVENTS };
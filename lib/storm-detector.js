@@ -0,0 +1,104 @@
+/**
+ * Storm Detector
+ *
+ * Collapses bursts of notifications into summaries. When a project sends
+ * `threshold` notifications within `windowMs` it enters storm mode: further
+ * notifications are still stored but not delivered one by one. Every
+ * `summaryMs` the collapsed notifications are reported as a single summary;
+ * the storm ends after an interval with nothing to report. Critical
+ * notifications count towards a storm but are never collapsed, so they are
+ * still delivered and escalated one by one.
+ */
+
+const { getSeverity, severityRank } = require('./severity');
+
+class StormDetector {
+  constructor(options = {}) {
+    this.threshold = options.threshold || 0;
+    this.windowMs = options.windowMs || 60 * 1000;
+    this.summaryMs = options.summaryMs || 60 * 1000;
+    this.onStart = options.onStart || (() => {});
+    this.onSummary = options.onSummary || (() => {});
+    // project → timestamps of recent notifications
+    this.recent = new Map();
+    // project → { project, startedAt, collapsed, timer }
+    this.storms = new Map();
+  }
+
+  get enabled() {
+    return this.threshold > 0;
+  }
+
+  // Record a notification; returns true if it should be collapsed instead of delivered
+  observe(notification) {
+    if (!this.enabled) return false;
+
+    const project = notification.project;
+    const critical = getSeverity(notification) === 'critical';
+    const storm = this.storms.get(project);
+    if (storm) {
+      if (critical) return false;
+      storm.collapsed.push(notification);
+      return true;
+    }
+
+    const now = Date.now();
+    const recent = (this.recent.get(project) || []).filter(at => now - at < this.windowMs);
+    recent.push(now);
+    this.recent.set(project, recent);
+    if (recent.length < this.threshold) return false;
+
+    // This notification tips the project into storm mode
+    this.recent.delete(project);
+    this.start(project, notification, !critical);
+    return !critical;
+  }
+
+  start(project, notification, collapse) {
+    const storm = { project, startedAt: new Date().toISOString(), collapsed: collapse ? [notification] : [], timer: null };
+    storm.timer = setInterval(() => this.flush(storm), this.summaryMs);
+    storm.timer.unref();
+    this.storms.set(project, storm);
+
+    console.log(`🌪️ Storm mode for ${project}: ${this.threshold} notifications within ${Math.round(this.windowMs / 1000)}s`);
+    // Announce once the notification that started the storm has been handled
+    setImmediate(() => this.onStart(storm, notification));
+  }
+
+  flush(storm) {
+    if (storm.collapsed.length === 0) {
+      clearInterval(storm.timer);
+      this.storms.delete(storm.project);
+      console.log(`🌤️ Storm over for ${storm.project}`);
+      return;
+    }
+
+    const summary = summarize(storm.collapsed);
+    storm.collapsed = [];
+    this.onSummary(storm, summary);
+  }
+}
+
+// Counts by event, the time span and the most severe notification among collapsed ones
+function summarize(notifications) {
+  const counts = {};
+  let worst = notifications[0];
+  notifications.forEach(notification => {
+    counts[notification.event] = (counts[notification.event] || 0) + 1;
+    if (severityRank(getSeverity(notification)) > severityRank(getSeverity(worst))) {
+      worst = notification;
+    }
+  });
+
+  return {
+    count: notifications.length,
+    counts,
+    firstAt: notifications[0].receivedAt,
+    lastAt: notifications[notifications.length - 1].receivedAt,
+    firstId: notifications[0].id,
+    lastId: notifications[notifications.length - 1].id,
+    worst
+  };
+}
+
+module.exports = { StormDetector, summarize };
@@ -0,0 +1,103 @@
+/**
+ * Stuck Deployment Detector
+ *
+ * Watches in-flight deployments and reports one that stays in `queued`,
+ * `building` or `deploying` for longer than its threshold. Thresholds are
+ * in minutes, per stage, with optional per-project overrides (0 disables):
+ *
+ *   {
+ *     "queued": 15, "building": 30, "deploying": 15,
+ *     "projects": { "ml-trainer": { "building": 120 } }
+ *   }
+ */
+
+const { notificationField } = require('./notification-store');
+const { setLongTimeout, clearLongTimeout } = require('./timers');
+
+const IN_FLIGHT_STAGES = ['queued', 'building', 'deploying'];
+const DEFAULT_THRESHOLDS = { queued: 15, building: 30, deploying: 15 };
+
+// Validate thresholds config; throws on invalid values
+function parseStuckThresholds(json) {
+  const config = json ? JSON.parse(json) : {};
+  const check = (stages, label) => {
+    Object.entries(stages).forEach(([stage, minutes]) => {
+      if (!IN_FLIGHT_STAGES.includes(stage)) {
+        throw new Error(`Stuck threshold ${label}has an unknown stage: ${stage}`);
+      }
+      if (typeof minutes !== 'number' || minutes < 0) {
+        throw new Error(`Stuck threshold ${label}for ${stage} must be a number of minutes`);
+      }
+    });
+  };
+
+  const { projects = {}, ...defaults } = config;
+  check(defaults, '');
+  Object.entries(projects).forEach(([project, stages]) => check(stages, `for project ${project} `));
+  return { defaults: { ...DEFAULT_THRESHOLDS, ...defaults }, projects };
+}
+
+class StuckDeploymentDetector {
+  constructor(options = {}) {
+    this.thresholds = options.thresholds || { defaults: DEFAULT_THRESHOLDS, projects: {} };
+    this.onStuck = options.onStuck || (() => {});
+    // deployment ID → { deploymentId, stage, since, thresholdMs, notification, timer }
+    this.watches = new Map();
+  }
+
+  // Threshold in ms for a project's stage, or 0 when disabled
+  thresholdMs(project, stage) {
+    const override = this.thresholds.projects[project] || {};
+    const minutes = override[stage] !== undefined ? override[stage] : this.thresholds.defaults[stage];
+    return (minutes || 0) * 60 * 1000;
+  }
+
+  // Every notification about a deployment restarts (or ends) its watch
+  observe(notification) {
+    const deploymentId = notificationField(notification, 'deploymentId');
+    if (!deploymentId || notification.stuck) return;
+
+    this.clear(deploymentId);
+    if (!IN_FLIGHT_STAGES.includes(notification.event)) return;
+
+    const since = Date.parse(notification.receivedAt || notification.timestamp) || Date.now();
+    this.watch(deploymentId, notification, notification.event, since);
+  }
+
+  // Re-arm watches for deployments still in flight (after a restart); deployments come from DeploymentTracker
+  resume(deployments) {
+    deployments.forEach(deployment => {
+      if (!IN_FLIGHT_STAGES.includes(deployment.stage)) return;
+      const last = deployment.stages[deployment.stages.length - 1];
+      this.watch(deployment.id, {
+        project: deployment.project,
+        environment: deployment.environment,
+        deploymentId: deployment.id,
+        id: last.notificationId
+      }, deployment.stage, Date.parse(last.at));
+    });
+  }
+
+  watch(deploymentId, notification, stage, since) {
+    const thresholdMs = this.thresholdMs(notification.project, stage);
+    if (thresholdMs <= 0) return;
+
+    const entry = { deploymentId, stage, since, thresholdMs, notification, timer: null };
+    entry.timer = setLongTimeout(() => {
+      this.watches.delete(deploymentId);
+      console.log(`⏳ Deployment ${deploymentId} (${notification.project}) stuck in ${stage} for ${Math.round((Date.now() - since) / 60000)} min`);
+      this.onStuck(entry);
+    }, since + thresholdMs - Date.now());
+    this.watches.set(deploymentId, entry);
+  }
+
+  clear(deploymentId) {
+    const entry = this.watches.get(deploymentId);
+    if (entry) {
+      clearLongTimeout(entry.timer);
+      this.watches.delete(deploymentId);
+    }
+  }
+}
+
+module.exports = { StuckDeploymentDetector, parseStuckThresholds, IN_FLIGHT_STAGES, DEFAULT_THRESHOLDS };
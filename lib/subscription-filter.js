@@ -0,0 +1,61 @@
+/**
+ * Subscription Filter
+ *
+ * Per-subscriber filters for the live notification stream. Empty lists match
+ * everything; a subscriber receives a notification only if it matches every
+ * filter that is set.
+ *
+ *   { project: [], environment: [], event: [], minSeverity: 'warning' }
+ */
+
+const { notificationField } = require('./notification-store');
+const { SEVERITY_LEVELS, isSeverity, severityRank, getSeverity } = require('./severity');
+const { parseList } = require('./lists');
+
+// Filter values come from clients: only strings and numbers (or lists of them) are accepted
+function isListValue(value) {
+  if (value === undefined || value === null) return true;
+  return (Array.isArray(value) ? value : [value]).every(item => typeof item === 'string' || typeof item === 'number');
+}
+
+// Build a filter from query parameters or a subscribe message
+// Returns { filter } or { error }
+function parseSubscriptionFilter(input = {}) {
+  const invalid = ['project', 'environment', 'event', 'events', 'minSeverity', 'severity']
+    .find(field => !isListValue(input[field]));
+  if (invalid) {
+    return { error: `${invalid} must be a string or a list of strings` };
+  }
+  const minSeverity = input.minSeverity || input.severity || null;
+  if (minSeverity && !isSeverity(minSeverity)) {
+    return { error: `minSeverity must be one of: ${SEVERITY_LEVELS.join(', ')}` };
+  }
+
+  return {
+    filter: {
+      project: parseList(input.project) || [],
+      environment: parseList(input.environment) || [],
+      event: parseList(input.event || input.events) || [],
+      minSeverity
+    }
+  };
+}
+
+function matchesSubscription(filter, notification) {
+  if (!filter) return true;
+  if (filter.project.length > 0 && !filter.project.includes(notification.project)) return false;
+  if (filter.environment.length > 0 && !filter.environment.includes(notificationField(notification, 'environment'))) return false;
+  if (filter.event.length > 0 && !filter.event.includes(notification.event)) return false;
+  if (filter.minSeverity && severityRank(getSeverity(notification)) < severityRank(filter.minSeverity)) return false;
+  return true;
+}
+
+// Status board entries only honour the project and environment filters, so the board never goes stale
+function matchesBoard(filter, entry) {
+  if (!filter) return true;
+  if (filter.project.length > 0 && !filter.project.includes(entry.project)) return false;
+  if (filter.environment.length > 0 && !filter.environment.includes(entry.environment)) return false;
+  return true;
+}
+
+module.exports = { parseSubscriptionFilter, matchesSubscription, matchesBoard };
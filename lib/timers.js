@@ -0,0 +1,31 @@
+/**
+ * Timers
+ *
+ * setTimeout only takes delays up to 2^31-1 ms (about 24.8 days) and fires
+ * after 1 ms for anything longer. setLongTimeout waits in capped steps until
+ * the real deadline. Timers are unref'd so they never keep the process alive.
+ */
+
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Returns a handle for clearLongTimeout
+function setLongTimeout(callback, delayMs) {
+  const deadline = Date.now() + Math.max(delayMs, 0);
+  const handle = { deadline, timer: null };
+  const arm = () => {
+    const remaining = Math.max(deadline - Date.now(), 0);
+    handle.timer = setTimeout(() => {
+      if (Date.now() < deadline) return arm();
+      callback();
+    }, Math.min(remaining, MAX_TIMEOUT_MS));
+    handle.timer.unref();
+  };
+  arm();
+  return handle;
+}
+
+function clearLongTimeout(handle) {
+  if (handle) clearTimeout(handle.timer);
+}
+
+module.exports = { setLongTimeout, clearLongTimeout, MAX_TIMEOUT_MS };
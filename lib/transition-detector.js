@@ -0,0 +1,161 @@
+/**
+ * Transition Detector
+ *
+ * Compares each outcome with the previous state of the same project and
+ * environment and reports derived events:
+ * - recovered: a success after a failure or crash
+ * - regressed: a failure or crash after a success
+ * - flapping: `flapThreshold` crashes within `flapWindowMs`; further crashes
+ *   are collapsed into the flapping alert until the loop has been quiet for
+ *   `flapWindowMs` or the service recovers
+ * - settled: the flapping loop went quiet without a recovery, with the final
+ *   crash count (a recovery reports the count itself)
+ */
+
+const { notificationField } = require('./notification-store');
+
+const SUCCESS_EVENTS = ['deployment_success'];
+const FAILURE_EVENTS = ['build_failure', 'deployment_failure', 'service_crash'];
+const CRASH_EVENTS = ['service_crash'];
+
+function notificationTime(notification) {
+  return Date.parse(notification.receivedAt || notification.timestamp) || Date.now();
+}
+
+class TransitionDetector {
+  constructor(options = {}) {
+    this.flapThreshold = options.flapThreshold || 0;
+    this.flapWindowMs = options.flapWindowMs || 10 * 60 * 1000;
+    this.onTransition = options.onTransition || (() => {});
+    // project/environment → { state: 'success' | 'failure', event, at, since, notificationId }
+    this.states = new Map();
+    // project/environment → timestamps of recent crashes
+    this.crashes = new Map();
+    // project/environment → { project, environment, startedAt, count, lastCrash, timer }
+    this.flapping = new Map();
+  }
+
+  key(notification) {
+    return JSON.stringify([notification.project, notificationField(notification, 'environment') || null]);
+  }
+
+  // Restore the last known state of each project/environment from history
+  resume(history) {
+    // Oldest first, so each state keeps the time it began
+    history.slice().reverse().forEach(notification => {
+      const current = !notification.transition && this.stateOf(notification);
+      if (current) this.update(this.key(notification), current);
+    });
+  }
+
+  // Store the new state; returns the previous one
+  update(key, current) {
+    const previous = this.states.get(key);
+    current.since = previous && previous.state === current.state ? previous.since : current.at;
+    this.states.set(key, current);
+    return previous;
+  }
+
+  stateOf(notification) {
+    const state = SUCCESS_EVENTS.includes(notification.event) ? 'success'
+      : FAILURE_EVENTS.includes(notification.event) ? 'failure' : null;
+    if (!state) return null;
+    return { state, event: notification.event, at: notificationTime(notification), notificationId: notification.id };
+  }
+
+  // Record an outcome; returns true if the notification is a crash collapsed into a flapping alert
+  observe(notification) {
+    // Our own derived events are not outcomes
+    if (notification.transition) return false;
+
+    const current = this.stateOf(notification);
+    if (!current) return false;
+
+    const key = this.key(notification);
+    const previous = this.update(key, current);
+
+    const flapping = this.flapping.get(key);
+    let collapsed = false;
+    if (current.state === 'success') {
+      if (flapping) this.endFlapping(key, flapping);
+      if (previous && previous.state === 'failure') {
+        this.emit('recovered', notification, previous, flapping ? { crashes: flapping.count } : {});
+      }
+    } else {
+      if (previous && previous.state === 'success') {
+        this.emit('regressed', notification, previous);
+      }
+      if (CRASH_EVENTS.includes(notification.event)) {
+        collapsed = this.observeCrash(key, notification, previous);
+      }
+    }
+    return collapsed;
+  }
+
+  observeCrash(key, notification, previous) {
+    if (this.flapThreshold <= 0) return false;
+
+    const flapping = this.flapping.get(key);
+    if (flapping) {
+      flapping.count++;
+      flapping.lastCrash = notification;
+      this.armFlapping(key, flapping);
+      return true;
+    }
+
+    const now = notificationTime(notification);
+    const recent = (this.crashes.get(key) || []).filter(at => now - at < this.flapWindowMs);
+    recent.push(now);
+    this.crashes.set(key, recent);
+    if (recent.length < this.flapThreshold) return false;
+
+    // This crash tips the service into flapping
+    this.crashes.delete(key);
+    const started = {
+      project: notification.project,
+      environment: notificationField(notification, 'environment') || null,
+      startedAt: new Date(recent[0]).toISOString(),
+      count: recent.length,
+      lastCrash: notification,
+      timer: null
+    };
+    this.armFlapping(key, started);
+    this.flapping.set(key, started);
+    console.log(`🔁 ${notification.project} is flapping: ${recent.length} crashes within ${Math.round(this.flapWindowMs / 60000)} min`);
+    this.emit('flapping', notification, previous, { crashes: recent.length, since: started.startedAt });
+    return true;
+  }
+
+  // The loop is over once it has been quiet for a whole window
+  armFlapping(key, flapping) {
+    clearTimeout(flapping.timer);
+    flapping.timer = setTimeout(() => {
+      this.endFlapping(key, flapping);
+      this.emit('settled', flapping.lastCrash, this.states.get(key), { crashes: flapping.count, since: flapping.startedAt });
+    }, this.flapWindowMs);
+    flapping.timer.unref();
+  }
+
+  endFlapping(key, flapping) {
+    clearTimeout(flapping.timer);
+    this.flapping.delete(key);
+    console.log(`🔁 ${flapping.project} stopped flapping after ${flapping.count} crashes`);
+  }
+
+  emit(type, notification, previous, details = {}) {
+    const transition = {
+      type,
+      from: previous ? previous.event : null,
+      to: notification.event,
+      // When the previous state began, e.g. the first failure of a failing streak
+      previousSince: previous ? new Date(previous.since).toISOString() : null,
+      previousId: previous ? previous.notificationId : null,
+      notificationId: notification.id,
+      ...details
+    };
+    // Report once the notification that caused the transition has been handled
+    setImmediate(() => this.onTransition(transition, notification));
+  }
+}
+
+module.exports = { TransitionDetector, SUCCESS_EVENTS, FAILURE_EVENTS, CRASH_EVENTS };
@@ -0,0 +1,167 @@
+/**
+ * Webhook Security
+ *
+ * Signature verification with support for several active secrets (for
+ * zero-downtime rotation), an optional strict mode that rejects unsigned
+ * requests, and a timestamp/nonce window that rejects replayed payloads.
+ *
+ * Schemes:
+ * - hmac-sha256: hex HMAC of the raw body, optionally prefixed "sha256=" (Railway, GitHub)
+ * - hmac-sha1:   hex HMAC of the raw body, optionally prefixed "sha1=" (Vercel)
+ * - token:       shared secret sent verbatim in a header (GitLab)
+ * - jws:         HS256 JSON Web Signature carrying the body's SHA-256 (Netlify)
+ */
+
+const crypto = require('crypto');
+
+class WebhookVerifier {
+  constructor(options = {}) {
+    this.scheme = options.scheme || 'hmac-sha256';
+    this.secrets = (options.secrets || []).filter(Boolean);
+    this.strict = Boolean(options.strict);
+    this.requireTimestamp = options.requireTimestamp !== undefined ? options.requireTimestamp : this.strict;
+    this.toleranceMs = options.toleranceMs || 5 * 60 * 1000;
+    // Signatures already accepted, with the time they can be forgotten
+    this.seenNonces = new Map();
+  }
+
+  // Check the signature against every active secret
+  // Returns { valid, reason, status, secretIndex, signed, nonce }
+  verifySignature(payload, signature) {
+    if (!signature) {
+      if (this.strict) {
+        return { valid: false, status: 401, reason: 'Missing signature' };
+      }
+      return { valid: true, signed: false };
+    }
+
+    if (this.secrets.length === 0) {
+      if (this.strict) {
+        return { valid: false, status: 401, reason: 'No webhook secret configured' };
+      }
+      console.log('⚠️ Signed webhook received but no secret is configured - skipping verification');
+      return { valid: true, signed: false };
+    }
+
+    const provided = parseSignature(this.scheme, signature);
+    if (!provided) {
+      return { valid: false, status: 401, reason: 'Malformed signature' };
+    }
+
+    const secretIndex = this.secrets.findIndex(secret => matchesSecret(this.scheme, secret, payload, provided));
+    if (secretIndex === -1) {
+      return { valid: false, status: 401, reason: 'Invalid signature' };
+    }
+
+    // A shared token is identical on every request, so it cannot act as a nonce
+    const nonce = this.scheme === 'token' ? null : String(signature);
+    return { valid: true, signed: true, secretIndex, nonce };
+  }
+
+  // Reject payloads outside the timestamp window or seen before within it
+  checkReplay(nonce, timestamp) {
+    const now = Date.now();
+
+    if (timestamp === undefined || timestamp === null) {
+      if (this.requireTimestamp) {
+        return { valid: false, status: 401, reason: 'Missing timestamp' };
+      }
+    } else {
+      const time = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+      if (Number.isNaN(time)) {
+        return { valid: false, status: 400, reason: 'Invalid timestamp' };
+      }
+      if (Math.abs(now - time) > this.toleranceMs) {
+        return { valid: false, status: 401, reason: 'Timestamp outside allowed window' };
+      }
+    }
+
+    if (!nonce) return { valid: true };
+
+    this.purgeNonces(now);
+    if (this.seenNonces.has(nonce)) {
+      return { valid: false, status: 409, reason: 'Replayed webhook', replay: true };
+    }
+    // Outside the window the timestamp check takes over, so nonces can expire
+    this.seenNonces.set(nonce, now + this.toleranceMs * 2);
+    return { valid: true };
+  }
+
+  purgeNonces(now = Date.now()) {
+    for (const [nonce, expiresAt] of this.seenNonces) {
+      if (expiresAt <= now) this.seenNonces.delete(nonce);
+    }
+  }
+}
+
+// Decode the header value for a scheme; null when it is malformed
+function parseSignature(scheme, signature) {
+  switch (scheme) {
+    case 'hmac-sha256':
+    case 'hmac-sha1':
+      return parseHexSignature(signature);
+    case 'token':
+      return String(signature);
+    case 'jws': {
+      const parts = String(signature).split('.');
+      if (parts.length !== 3 || parts.some(part => !/^[A-Za-z0-9_-]+$/.test(part))) return null;
+      return parts;
+    }
+    default:
+      throw new Error(`Unknown signature scheme: ${scheme}`);
+  }
+}
+
+function matchesSecret(scheme, secret, payload, provided) {
+  switch (scheme) {
+    case 'hmac-sha256':
+    case 'hmac-sha1': {
+      const algorithm = scheme === 'hmac-sha1' ? 'sha1' : 'sha256';
+      return safeEqual(crypto.createHmac(algorithm, secret).update(payload).digest(), provided);
+    }
+    case 'token':
+      // Hash both sides so the comparison does not leak the secret's length
+      return safeEqual(sha256(secret), sha256(provided));
+    case 'jws': {
+      const [header, body, signature] = provided;
+      const expected = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest();
+      if (!safeEqual(expected, Buffer.from(signature, 'base64url'))) return false;
+      try {
+        const claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+        return claims.sha256 === sha256(payload).toString('hex');
+      } catch (error) {
+        return false;
+      }
+    }
+    default:
+      return false;
+  }
+}
+
+// Accept "abc123...", "sha256=abc123..." or "sha1=abc123..."; null when it is not valid hex
+function parseHexSignature(signature) {
+  const hex = String(signature).trim().replace(/^sha(1|256)=/i, '');
+  if (hex.length === 0 || hex.length % 2 !== 0 || !/^[0-9a-f]+$/i.test(hex)) {
+    return null;
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Collect secrets from a comma-separated list plus the single-secret variable
+function parseSecrets(...values) {
+  return values
+    .filter(Boolean)
+    .flatMap(value => value.split(','))
+    .map(secret => secret.trim())
+    .filter(Boolean);
+}
+
+module.exports = { WebhookVerifier, parseHexSignature, parseSecrets };
@@ -0,0 +1,215 @@
+/**
+ * WebSocket Transport
+ *
+ * Two-way alternative to the SSE stream, served at /ws. It receives the same
+ * notifications as SSE clients (both are fed by broadcastNotification).
+ *
+ * Protocol v1 - every message is JSON with { v: 1, type, ... }
+ *
+ * Client → server:
+ *   { type: 'subscribe', id, filter: { project, environment, event, minSeverity }, lastEventId? }
+ *   { type: 'unsubscribe', id }
+ *   { type: 'ack', ids: [notificationId, ...] }
+ *   { type: 'ping' }
+ *
+ * Server → client:
+ *   { type: 'welcome', protocol, clientCount }
+ *   { type: 'subscribed', id, filter } / { type: 'unsubscribed', id }
+ *   { type: 'notification', notification, replayed? }
+ *   { type: 'alerts', alerts }          open unacknowledged alerts, sent after subscribe
+ *   { type: 'alert', alert }            alert opened or repeated (re-sound it)
+ *   { type: 'alert_acknowledged', alert }
+ *   { type: 'status_board', entries }   every project/environment on the status board, sent after subscribe
+ *   { type: 'status', entry }           one project/environment changed
+ *   { type: 'acked', ids }
+ *   { type: 'pong', timestamp }
+ *   { type: 'error', error, ref? }
+ *
+ * A client receives a notification when it matches any of its subscriptions.
+ */
+
+const { WebSocketServer } = require('ws');
+const { parseSubscriptionFilter, matchesSubscription, matchesBoard } = require('./subscription-filter');
+
+const PROTOCOL_VERSION = 1;
+
+// Subscription and notification ids are strings or numbers; anything else cannot be used as one
+function isId(value) {
+  return typeof value === 'string' || typeof value === 'number';
+}
+
+class WebSocketTransport {
+  constructor(options = {}) {
+    this.onAck = options.onAck || (() => {});
+    // Notifications after an id that were broadcast to dashboards (not suppressed, collapsed or routed elsewhere)
+    this.listAfter = options.listAfter || (() => []);
+    this.listAlerts = options.listAlerts || (() => []);
+    this.listStatus = options.listStatus || (() => []);
+    this.onDrop = options.onDrop || (() => {});
+    this.heartbeatMs = options.heartbeatMs || 30000;
+    this.clients = new Set();
+
+    // Reject the upgrade unless authorize(req) allows it
+    const authorize = options.authorize || (() => true);
+    this.wss = new WebSocketServer({
+      server: options.server,
+      path: options.path || '/ws',
+      verifyClient: info => Boolean(authorize(info.req))
+    });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+    // Without a listener an 'error' event would crash the whole process
+    this.wss.on('error', error => console.error('❌ WebSocket server error:', error.message));
+
+    // Drop clients that stopped answering protocol-level pings
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        if (!client.alive) {
+          console.log('💔 WebSocket client missed heartbeat, terminating');
+          client.socket.terminate();
+          this.onDrop(client);
+          continue;
+        }
+        client.alive = false;
+        client.socket.ping();
+      }
+    }, this.heartbeatMs);
+    this.wss.on('close', () => clearInterval(this.heartbeat));
+  }
+
+  get clientCount() {
+    return this.clients.size;
+  }
+
+  handleConnection(socket) {
+    const client = { socket, subscriptions: new Map(), alive: true };
+    this.clients.add(client);
+    console.log(`🔌 New WebSocket client connected (${this.clients.size} total)`);
+
+    socket.on('pong', () => { client.alive = true; });
+    socket.on('message', data => {
+      // A bad frame may only fail its own request, never the server
+      try {
+        this.handleMessage(client, data);
+      } catch (error) {
+        console.log('❌ Failed to handle WebSocket message:', error.message);
+        this.send(client, { type: 'error', error: 'Could not handle message' });
+      }
+    });
+    socket.on('close', () => {
+      this.clients.delete(client);
+      console.log(`🔌 WebSocket client disconnected (${this.clients.size} total)`);
+    });
+    // Malformed frames (e.g. a reserved opcode) surface here; drop the client instead of crashing
+    socket.on('error', error => {
+      console.log(`❌ WebSocket client error: ${error.code || error.message}`);
+      this.clients.delete(client);
+      socket.terminate();
+    });
+
+    this.send(client, { type: 'welcome', protocol: PROTOCOL_VERSION, clientCount: this.clients.size });
+  }
+
+  handleMessage(client, data) {
+    client.alive = true;
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(client, { type: 'error', error: 'Invalid JSON' });
+    }
+    if (!message || typeof message !== 'object') {
+      return this.send(client, { type: 'error', error: 'Message must be a JSON object' });
+    }
+    if (message.id !== undefined && message.id !== null && !isId(message.id)) {
+      return this.send(client, { type: 'error', error: 'id must be a string or a number' });
+    }
+    if (message.v !== undefined && message.v !== PROTOCOL_VERSION) {
+      return this.send(client, { type: 'error', error: `Unsupported protocol version: ${JSON.stringify(message.v)}`, ref: message.id });
+    }
+
+    switch (message.type) {
+      case 'subscribe':
+        return this.subscribe(client, message);
+      case 'unsubscribe':
+        client.subscriptions.delete(String(message.id || 'default'));
+        return this.send(client, { type: 'unsubscribed', id: String(message.id || 'default') });
+      case 'ack':
+        return this.acknowledge(client, message);
+      case 'ping':
+        return this.send(client, { type: 'pong', timestamp: new Date().toISOString() });
+      default:
+        return this.send(client, { type: 'error', error: `Unknown message type: ${JSON.stringify(message.type)}`, ref: message.id });
+    }
+  }
+
+  subscribe(client, message) {
+    const id = String(message.id || 'default');
+    const { filter, error } = parseSubscriptionFilter(message.filter || {});
+    if (error) {
+      return this.send(client, { type: 'error', error, ref: id });
+    }
+
+    client.subscriptions.set(id, filter);
+    this.send(client, { type: 'subscribed', id, filter });
+    this.send(client, {
+      type: 'alerts',
+      alerts: this.listAlerts().filter(alert => matchesSubscription(filter, alert.notification))
+    });
+    this.send(client, {
+      type: 'status_board',
+      entries: this.listStatus().filter(entry => matchesBoard(filter, entry))
+    });
+
+    // Resume: send what this subscription missed since lastEventId
+    const lastEventId = parseInt(message.lastEventId, 10);
+    if (Number.isInteger(lastEventId)) {
+      this.listAfter(lastEventId)
+        .filter(notification => matchesSubscription(filter, notification))
+        .forEach(notification => this.send(client, { type: 'notification', notification, replayed: true }));
+    }
+  }
+
+  acknowledge(client, message) {
+    const ids = (Array.isArray(message.ids) ? message.ids : [message.ids])
+      .filter(id => id !== undefined && id !== null);
+    if (ids.length === 0) {
+      return this.send(client, { type: 'error', error: 'ack requires ids', ref: message.id });
+    }
+    if (!ids.every(isId)) {
+      return this.send(client, { type: 'error', error: 'ack ids must be strings or numbers', ref: message.id });
+    }
+    this.onAck(ids);
+    this.send(client, { type: 'acked', ids });
+  }
+
+  // Deliver a notification to every client with a matching subscription; returns how many got it
+  broadcast(notification) {
+    return this.broadcastMessage({ type: 'notification', notification }, notification);
+  }
+
+  // Deliver any message about a notification to the clients subscribed to it
+  broadcastMessage(message, notification, matches = matchesSubscription) {
+    let delivered = 0;
+    for (const client of this.clients) {
+      const subscribed = Array.from(client.subscriptions.values())
+        .some(filter => matches(filter, notification));
+      if (!subscribed) continue;
+      if (this.send(client, message)) delivered++;
+    }
+    return delivered;
+  }
+
+  send(client, message) {
+    if (client.socket.readyState !== client.socket.OPEN) return false;
+    try {
+      client.socket.send(JSON.stringify({ v: PROTOCOL_VERSION, ...message }));
+      return true;
+    } catch (error) {
+      console.log('❌ Failed to send to WebSocket client:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = { WebSocketTransport, PROTOCOL_VERSION };
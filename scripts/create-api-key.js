@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Create API Key Script
+ *
+ * Issues a new /notify API key. Prints the key (give it to the producer as
+ * NOTIFY_API_KEY) and the entry to add to NOTIFY_API_KEYS, which stores only
+ * the key's hash.
+ * Usage: node scripts/create-api-key.js <key_id> [projects] [events]
+ *   projects, events: comma-separated, * matches a prefix (default: any)
+ *
+ * Example: node scripts/create-api-key.js web-ci "web,web-*" "build_*,deployment_*"
+ */
+
+const crypto = require('crypto');
+const { hashKey } = require('../lib/api-keys');
+
+function parseList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+function main() {
+  const [id, projects, events] = process.argv.slice(2);
+  if (!id) {
+    console.error('Usage: node scripts/create-api-key.js <key_id> [projects] [events]');
+    process.exit(1);
+  }
+
+  const key = `da_${crypto.randomBytes(24).toString('base64url')}`;
+  const entry = {
+    id,
+    keyHash: hashKey(key),
+    projects: parseList(projects),
+    events: parseList(events)
+  };
+
+  console.log(`🔑 API key for "${id}" (shown once - store it as the producer's NOTIFY_API_KEY):`);
+  console.log(`   ${key}`);
+  console.log('');
+  console.log('📋 Add this entry to NOTIFY_API_KEYS (or the NOTIFY_API_KEYS_PATH file):');
+  console.log(JSON.stringify(entry, null, 2));
+}
+
+if (require.main === module) {
+  main();
+}
@@ -11,6 +11,7 @@
  *   - Production: https://your-app.railway.app
  *   - Local: http://localhost:3000 (default)
  * - PROJECT_NAME: Name of the project (default: current directory name)
+ * - NOTIFY_API_KEY: API key issued for this project (required unless the server sets NOTIFY_ALLOW_ANONYMOUS)
  */
 
 const http = require('http');
@@ -21,6 +22,7 @@ const path = require('path');
 // Configuration
 const SERVER_URL = process.env.NOTIFICATION_URL || 'http://localhost:3000';
 const PROJECT_NAME = process.env.PROJECT_NAME || path.basename(process.cwd());
+const NOTIFY_API_KEY = process.env.NOTIFY_API_KEY;
 
 function sendNotification(event, message = '') {
   return new Promise((resolve, reject) => {
@@ -38,6 +40,7 @@ function sendNotification(event, message = '') {
       port: parsedUrl.port || (isHttps ? 443 : 80),
       path: parsedUrl.pathname + parsedUrl.search,
       method: 'GET',
+      headers: NOTIFY_API_KEY ? { 'X-API-Key': NOTIFY_API_KEY } : {},
       timeout: 5000
     };
 
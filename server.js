@@ -1,59 +1,532 @@
 const express = require('express');
 const cors = require('cors');
-const crypto = require('crypto');
+const { createNotificationStore, notificationField } = require('./lib/notification-store');
+const { DeploymentTracker } = require('./lib/deployment-tracker');
+const { parseSecrets } = require('./lib/webhook-security');
+const { createProviderAdapters } = require('./lib/providers');
+const { validateNotifyBody } = require('./lib/notify-payload');
+const { IdempotencyCache, deploymentEventKey } = require('./lib/idempotency');
+const { parseSubscriptionFilter, matchesSubscription, matchesBoard } = require('./lib/subscription-filter');
+const { WebSocketTransport } = require('./lib/websocket-transport');
+const { ChatNotifier, parseChatChannels, EVENT_ICONS } = require('./lib/chat-notifier');
+const { PushNotifier, validatePushEndpoint } = require('./lib/push-notifier');
+const { loadRoutingRules, CHANNELS } = require('./lib/routing-rules');
+const { EscalationManager } = require('./lib/escalation');
+const { createDashboardAuth, safeEqual } = require('./lib/auth');
+const { ApiKeyRegistry, loadApiKeys } = require('./lib/api-keys');
+const { RateLimiter } = require('./lib/rate-limiter');
+const { StormDetector } = require('./lib/storm-detector');
+const { getSeverity, isSeverity, loadSeverityModel } = require('./lib/severity');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { TERMINAL_STAGES } = require('./lib/deployment-tracker');
+const { computeDeploymentAnalytics } = require('./lib/analytics');
+const { parseDuration } = require('./lib/duration');
+const { parseList } = require('./lib/lists');
+const { HealthProber } = require('./lib/health-prober');
+const { StuckDeploymentDetector, parseStuckThresholds } = require('./lib/stuck-detector');
+const { loadHeartbeatSchedules } = require('./lib/heartbeat-monitor');
+const { TransitionDetector } = require('./lib/transition-detector');
+const { StatusBoard } = require('./lib/status-board');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || 'railway-webhook-secret';
+// Comma-separated secrets are all accepted, so a new one can be rolled out before the old is removed
+const WEBHOOK_SECRETS = parseSecrets(process.env.WEBHOOK_SECRETS, process.env.WEBHOOK_SECRET);
+const WEBHOOK_STRICT = process.env.WEBHOOK_STRICT === 'true';
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+const IDEMPOTENCY_WINDOW_SECONDS = parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS || '600', 10);
+const CHAT_RETRY_ATTEMPTS = parseInt(process.env.CHAT_RETRY_ATTEMPTS || '5', 10);
+const CHAT_RETRY_BASE_SECONDS = parseFloat(process.env.CHAT_RETRY_BASE_SECONDS || '5');
+const PUSH_MAX_SUBSCRIPTIONS = parseInt(process.env.PUSH_MAX_SUBSCRIPTIONS || '100', 10);
+const ESCALATION_REPEAT_SECONDS = parseFloat(process.env.ESCALATION_REPEAT_SECONDS || '60');
+const ESCALATION_BACKOFF = parseFloat(process.env.ESCALATION_BACKOFF || '2');
+const ESCALATION_MAX_REPEAT_SECONDS = parseFloat(process.env.ESCALATION_MAX_REPEAT_SECONDS || '600');
+const ESCALATION_TIMEOUT_SECONDS = parseFloat(process.env.ESCALATION_TIMEOUT_SECONDS || '900');
+const ESCALATION_CHANNELS = (process.env.ESCALATION_CHANNELS || 'push,slack,discord,teams')
+  .split(',').map(channel => channel.trim()).filter(Boolean);
+const RATE_LIMIT_WINDOW_SECONDS = parseFloat(process.env.RATE_LIMIT_WINDOW_SECONDS || '60');
+const RATE_LIMIT_PER_IP = parseInt(process.env.RATE_LIMIT_PER_IP || '120', 10);
+const RATE_LIMIT_PER_KEY = parseInt(process.env.RATE_LIMIT_PER_KEY || '120', 10);
+const RATE_LIMIT_PER_PROJECT = parseInt(process.env.RATE_LIMIT_PER_PROJECT || '60', 10);
+// Off unless configured: a routine deploy alone sends a dozen notifications a minute
+const STORM_THRESHOLD = parseInt(process.env.STORM_THRESHOLD || '0', 10);
+const STORM_WINDOW_SECONDS = parseFloat(process.env.STORM_WINDOW_SECONDS || '60');
+const STORM_SUMMARY_SECONDS = parseFloat(process.env.STORM_SUMMARY_SECONDS || '60');
+const FLAP_THRESHOLD = parseInt(process.env.FLAP_THRESHOLD || '3', 10);
+const FLAP_WINDOW_SECONDS = parseFloat(process.env.FLAP_WINDOW_SECONDS || '600');
+const HEALTH_PROBE_ENABLED = process.env.HEALTH_PROBE_ENABLED === 'true';
+const HEALTH_PROBE_DURATION_SECONDS = parseFloat(process.env.HEALTH_PROBE_DURATION_SECONDS || '60');
+const HEALTH_PROBE_INTERVAL_SECONDS = parseFloat(process.env.HEALTH_PROBE_INTERVAL_SECONDS || '10');
+const HEALTH_PROBE_TIMEOUT_SECONDS = parseFloat(process.env.HEALTH_PROBE_TIMEOUT_SECONDS || '5');
+const HEALTH_PROBE_FAILURES = parseInt(process.env.HEALTH_PROBE_FAILURES || '2', 10);
+const HEALTH_PROBE_HOSTS = (process.env.HEALTH_PROBE_HOSTS || '*.up.railway.app').split(',').map(host => host.trim()).filter(Boolean);
+// /notify requires an API key unless this explicitly opens it (e.g. for local development)
+const NOTIFY_ALLOW_ANONYMOUS = process.env.NOTIFY_ALLOW_ANONYMOUS === 'true';
+const AUTH_SESSION_HOURS = parseFloat(process.env.AUTH_SESSION_HOURS || '168');
+const HEALTH_TOKEN = process.env.HEALTH_TOKEN;
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const NOTIFICATION_STORE = process.env.NOTIFICATION_STORE || 'file';
+const NOTIFICATION_STORE_PATH = process.env.NOTIFICATION_STORE_PATH || 'data/notifications.jsonl';
+const NOTIFICATION_RETENTION_DAYS = parseFloat(process.env.NOTIFICATION_RETENTION_DAYS || '30');
+const NOTIFICATION_RETENTION_COUNT = parseInt(process.env.NOTIFICATION_RETENTION_COUNT || '1000', 10);
+
+// Dashboard, stream and API authentication (disabled unless tokens or users are configured)
+const dashboardAuth = createDashboardAuth({
+  tokens: process.env.AUTH_TOKENS,
+  users: process.env.AUTH_USERS,
+  sessionTtlMs: AUTH_SESSION_HOURS * 60 * 60 * 1000
+});
+const requireAuth = dashboardAuth.middleware();
+
+// Behind Railway's (or any) proxy, req.ip must come from X-Forwarded-For for per-IP limits to work
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
 
 // Middleware
-app.use(cors());
+// Any origin may call an open server; a protected one only allows the configured origins
+app.use(cors({
+  origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : (dashboardAuth.enabled ? false : '*'),
+  credentials: CORS_ORIGINS.length > 0
+}));
 app.use(express.raw({ type: 'application/json' })); // For webhook signature verification
 app.use(express.static('public'));
 
-// Store recent notifications for display
-let recentNotifications = [];
+// CI/CD provider adapters, each with its own signature verification
+const providerSecurity = { strict: WEBHOOK_STRICT, toleranceMs: WEBHOOK_TOLERANCE_SECONDS * 1000 };
+const providerAdapters = createProviderAdapters({
+  railway: { ...providerSecurity, secrets: WEBHOOK_SECRETS },
+  github: { ...providerSecurity, secrets: parseSecrets(process.env.GITHUB_WEBHOOK_SECRETS, process.env.GITHUB_WEBHOOK_SECRET) },
+  gitlab: { ...providerSecurity, secrets: parseSecrets(process.env.GITLAB_WEBHOOK_TOKENS, process.env.GITLAB_WEBHOOK_TOKEN) },
+  vercel: { ...providerSecurity, secrets: parseSecrets(process.env.VERCEL_WEBHOOK_SECRETS, process.env.VERCEL_WEBHOOK_SECRET) },
+  netlify: { ...providerSecurity, secrets: parseSecrets(process.env.NETLIFY_WEBHOOK_SECRETS, process.env.NETLIFY_WEBHOOK_SECRET) }
+});
+
+// Persistent notification history (survives restarts with the file driver)
+const notificationStore = createNotificationStore({
+  driver: NOTIFICATION_STORE,
+  path: NOTIFICATION_STORE_PATH,
+  maxAgeMs: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+  maxCount: NOTIFICATION_RETENTION_COUNT
+});
+// Deployment lifecycles keyed by deployment ID, rebuilt from stored history
+const deploymentTracker = new DeploymentTracker();
+deploymentTracker.replay(notificationStore.list());
+// Recently ingested notifications by Idempotency-Key and deployment event, for retried deliveries
+const idempotencyCache = new IdempotencyCache({ windowMs: IDEMPOTENCY_WINDOW_SECONDS * 1000 });
+// Routing rules: which channels fire, which sound plays, what is suppressed
+const routingRules = loadRoutingRules({
+  json: process.env.ROUTING_RULES,
+  path: process.env.ROUTING_RULES_PATH
+});
+
+// Severity of each notification from its event, environment and project (unless the producer set one)
+const severityModel = loadSeverityModel({
+  json: process.env.SEVERITY_CONFIG,
+  path: process.env.SEVERITY_CONFIG_PATH
+});
+
+// API keys for /notify producers, each scoped to projects and event types
+const apiKeys = loadApiKeys({
+  json: process.env.NOTIFY_API_KEYS,
+  path: process.env.NOTIFY_API_KEYS_PATH
+});
+
+// Ingestion rate limits (per source IP, per API key, per project); 0 disables one
+const rateLimiters = {
+  ip: new RateLimiter({ limit: RATE_LIMIT_PER_IP, windowMs: RATE_LIMIT_WINDOW_SECONDS * 1000 }),
+  key: new RateLimiter({ limit: RATE_LIMIT_PER_KEY, windowMs: RATE_LIMIT_WINDOW_SECONDS * 1000 }),
+  project: new RateLimiter({ limit: RATE_LIMIT_PER_PROJECT, windowMs: RATE_LIMIT_WINDOW_SECONDS * 1000 })
+};
+// Storm mode: a burst from one project is collapsed into periodic summaries
+const stormDetector = new StormDetector({
+  threshold: STORM_THRESHOLD,
+  windowMs: STORM_WINDOW_SECONDS * 1000,
+  summaryMs: STORM_SUMMARY_SECONDS * 1000,
+  onStart: (storm, cause) => ingestNotification(stormNotification(storm.project, {
+    event: 'storm',
+    message: `🌪️ Storm mode: ${STORM_THRESHOLD}+ notifications in ${STORM_WINDOW_SECONDS}s - collapsing into a summary every ${STORM_SUMMARY_SECONDS}s`,
+    severity: 'warning',
+    sound: cause.sound || cause.event,
+    storm: { startedAt: storm.startedAt }
+  })),
+  onSummary: (storm, summary) => ingestNotification(stormNotification(storm.project, {
+    event: 'storm_summary',
+    message: `🌪️ ${summary.count} notification(s) collapsed: ${Object.entries(summary.counts).map(([event, count]) => `${count}× ${event}`).join(', ')}`,
+    // The summary is as severe, and sounds like, the worst notification it covers
+    severity: getSeverity(summary.worst),
+    sound: summary.worst.sound || summary.worst.event,
+    storm: {
+      startedAt: storm.startedAt,
+      count: summary.count,
+      counts: summary.counts,
+      firstId: summary.firstId,
+      lastId: summary.lastId,
+      firstAt: summary.firstAt,
+      lastAt: summary.lastAt
+    }
+  }))
+});
+
+// Deployments that stay queued, building or deploying too long raise a synthetic "stuck" notification
+const stuckDetector = new StuckDeploymentDetector({
+  thresholds: parseStuckThresholds(process.env.STUCK_THRESHOLDS),
+  onStuck: entry => ingestNotification(stuckNotification(entry))
+});
+stuckDetector.resume(deploymentTracker.list(Infinity));
+
+// Recovered / regressed / flapping, derived from the previous outcome of the same project and environment
+const transitionDetector = new TransitionDetector({
+  flapThreshold: FLAP_THRESHOLD,
+  flapWindowMs: FLAP_WINDOW_SECONDS * 1000,
+  onTransition: (transition, cause) => ingestNotification(transitionNotification(transition, cause))
+});
+transitionDetector.resume(notificationStore.list());
+
+// Current state of every project/environment pair, for GET /status and the dashboard grid
+const statusBoard = new StatusBoard();
+statusBoard.resume(notificationStore.list());
+
+// Dead-man's switch: schedules that expect activity from a project at least once per period
+const heartbeatMonitor = loadHeartbeatSchedules({
+  json: process.env.HEARTBEAT_SCHEDULES,
+  path: process.env.HEARTBEAT_SCHEDULES_PATH,
+  onMissed: schedule => ingestNotification(heartbeatNotification(schedule, 'heartbeat_missed')),
+  onRecovered: schedule => ingestNotification(heartbeatNotification(schedule, 'heartbeat_recovered'))
+});
+heartbeatMonitor.start(notificationStore.list());
+
+// Post-deploy health probing of the deployed URL, reported as a follow-up notification
+const healthProber = new HealthProber({
+  enabled: HEALTH_PROBE_ENABLED,
+  path: process.env.HEALTH_PROBE_PATH,
+  paths: process.env.HEALTH_PROBE_PATHS ? JSON.parse(process.env.HEALTH_PROBE_PATHS) : {},
+  allowedHosts: HEALTH_PROBE_HOSTS,
+  durationMs: HEALTH_PROBE_DURATION_SECONDS * 1000,
+  intervalMs: HEALTH_PROBE_INTERVAL_SECONDS * 1000,
+  timeout: HEALTH_PROBE_TIMEOUT_SECONDS * 1000,
+  failureThreshold: HEALTH_PROBE_FAILURES,
+  onResult: result => ingestNotification(healthCheckNotification(result))
+});
+
+// Outbound chat notifications (Slack, Discord, Microsoft Teams incoming webhooks)
+const chatNotifier = new ChatNotifier({
+  channels: parseChatChannels({
+    slack: process.env.SLACK_WEBHOOK_URLS,
+    discord: process.env.DISCORD_WEBHOOK_URLS,
+    teams: process.env.TEAMS_WEBHOOK_URLS
+  }),
+  maxAttempts: CHAT_RETRY_ATTEMPTS,
+  retryBaseMs: CHAT_RETRY_BASE_SECONDS * 1000
+});
+// Web Push delivery for closed dashboard tabs (VAPID keys are generated once if not configured)
+const pushNotifier = new PushNotifier({
+  publicKey: process.env.VAPID_PUBLIC_KEY,
+  privateKey: process.env.VAPID_PRIVATE_KEY,
+  subject: process.env.VAPID_SUBJECT,
+  keyPath: process.env.VAPID_KEYS_PATH || 'data/vapid-keys.json',
+  storePath: process.env.PUSH_SUBSCRIPTIONS_PATH || 'data/push-subscriptions.json',
+  maxSubscriptions: PUSH_MAX_SUBSCRIPTIONS
+});
+// Critical notifications stay open until acknowledged: repeated, then escalated
+const escalationManager = new EscalationManager({
+  repeatMs: ESCALATION_REPEAT_SECONDS * 1000,
+  backoff: ESCALATION_BACKOFF,
+  maxRepeatMs: ESCALATION_MAX_REPEAT_SECONDS * 1000,
+  escalateAfterMs: ESCALATION_TIMEOUT_SECONDS * 1000,
+  onRepeat: alert => broadcastMessage({ type: 'alert', alert }, alert.notification),
+  onEscalate: alert => {
+    broadcastMessage({ type: 'alert', alert }, alert.notification);
+    escalateAlert(alert);
+  },
+  onAcknowledge: alert => broadcastMessage({ type: 'alert_acknowledged', alert }, alert.notification)
+});
+// Prometheus metrics about the alert service itself
+const metrics = new MetricsRegistry('deployment_alert_');
+const webhooksReceived = metrics.counter('webhooks_received_total', 'Webhooks received, by provider, event and result', ['provider', 'event', 'result']);
+const signatureFailures = metrics.counter('webhook_signature_failures_total', 'Webhooks rejected by signature, timestamp or replay checks', ['provider', 'reason']);
+const notifyRequests = metrics.counter('notify_requests_total', 'Calls to /notify, by payload format and result', ['format', 'result']);
+const notificationsIngested = metrics.counter('notifications_total', 'Notifications ingested, by event and outcome', ['event', 'outcome']);
+metrics.gauge('sse_clients', 'Connected SSE clients', [], () => sseClients.length);
+metrics.gauge('websocket_clients', 'Connected WebSocket clients', [], () => (webSocketTransport ? webSocketTransport.clientCount : 0));
+const broadcastDuration = metrics.histogram('broadcast_duration_seconds', 'Time taken to broadcast one notification to connected clients', [],
+  [0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1]);
+const droppedClients = metrics.counter('dropped_clients_total', 'Clients dropped after a failed write or missed heartbeat', ['transport']);
+const stageDuration = metrics.histogram('deployment_stage_duration_seconds', 'Deployment stage durations, observed when a deployment finishes', ['stage'],
+  [5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600]);
+metrics.gauge('stored_notifications', 'Notifications in the history store', [], () => notificationStore.size);
+metrics.gauge('open_alerts', 'Critical alerts waiting for acknowledgement', [], () => escalationManager.list().length);
+metrics.gauge('uptime_seconds', 'Seconds since the server started', [], () => Math.round(process.uptime()));
+
 // Store SSE connections for real-time updates
 let sseClients = [];
+// WebSocket clients (created once the HTTP server is listening)
+let webSocketTransport = null;
 
-// Railway webhook event mapping
-const RAILWAY_EVENT_MAP = {
-  'deployment.initialize': 'initializing',
-  'deployment.queued': 'queued', 
-  'deployment.building': 'building',
-  'deployment.deploying': 'deploying',
-  'deployment.success': 'deployment_success',
-  'deployment.failed': 'deployment_failure',
-  'deployment.crashed': 'service_crash',
-  'deployment.sleeping': 'sleeping',
-  'deployment.removed': 'removed',
-  'deployment.skipped': 'skipped'
-};
+// Clients connected over either transport
+function connectedClientCount() {
+  return sseClients.length + (webSocketTransport ? webSocketTransport.clientCount : 0);
+}
+
+// Forget an SSE client whose connection failed
+function dropSseClient(client) {
+  const index = sseClients.indexOf(client);
+  if (index !== -1) {
+    sseClients.splice(index, 1);
+    droppedClients.inc({ transport: 'sse' });
+  }
+}
+
+// "Timestamp outside allowed window" → timestamp_outside_allowed_window
+function metricReason(reason) {
+  return String(reason).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Known events keep their name as a label value; anything else is "other", so free-form
+// /notify events cannot create unbounded series
+function metricEvent(event) {
+  return EVENT_ICONS[event] ? event : 'other';
+}
+
+// Count webhooks and /notify calls once the response is sent; handlers refine the result via res.locals
+function resultForStatus(statusCode) {
+  if (statusCode === 429) return 'rate_limited';
+  if (statusCode === 401 || statusCode === 403 || statusCode === 409) return 'rejected';
+  if (statusCode >= 400) return 'invalid';
+  return 'accepted';
+}
+
+function countWebhook(req, res, next) {
+  res.on('finish', () => {
+    webhooksReceived.inc({
+      provider: req.params.provider ? (providerAdapters[req.params.provider] ? req.params.provider : 'unknown') : 'railway',
+      event: res.locals.event ? metricEvent(res.locals.event) : 'unknown',
+      result: res.locals.result || resultForStatus(res.statusCode)
+    });
+  });
+  next();
+}
+
+function countNotify(req, res, next) {
+  res.on('finish', () => {
+    notifyRequests.inc({
+      format: Buffer.isBuffer(req.body) && req.body.length > 0 ? 'json' : 'query',
+      result: res.locals.result || resultForStatus(res.statusCode)
+    });
+  });
+  next();
+}
+
+// Whether a notification went out to any channel (not suppressed by a rule or collapsed by storm mode)
+function isDelivered(notification) {
+  return !notification.routing.suppressed && !notification.routing.collapsed;
+}
+
+// Whether live dashboard clients were sent a notification, so replays and history show the same
+function reachedDashboard(notification) {
+  // Stored before routing existed: everything was broadcast
+  if (!notification.routing) return true;
+  return isDelivered(notification) && notification.routing.channels.includes('dashboard');
+}
+
+// Count a request against a rate limiter; sends a 429 and returns false once over the limit
+function withinRateLimit(res, scope, key, cost = 1) {
+  const result = rateLimiters[scope].hit(key, cost);
+  if (result.allowed) {
+    return true;
+  }
+  const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+  console.log(`🚦 Rate limit exceeded for ${scope} ${key} (${result.limit} per ${RATE_LIMIT_WINDOW_SECONDS}s)`);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: 'Rate limit exceeded', scope, limit: result.limit, retryAfter });
+  return false;
+}
+
+// Per-project limit for everything in one request: all projects must fit before any are counted
+function withinProjectRateLimit(res, notifications) {
+  const counts = {};
+  notifications.forEach(notification => {
+    counts[notification.project] = (counts[notification.project] || 0) + 1;
+  });
+  const exceeded = Object.keys(counts).find(project => !rateLimiters.project.wouldAllow(project, counts[project]));
+  if (exceeded) {
+    return withinRateLimit(res, 'project', exceeded, counts[exceeded]);
+  }
+  Object.keys(counts).forEach(project => rateLimiters.project.hit(project, counts[project]));
+  return true;
+}
+
+// Per-IP limit for the ingestion endpoints
+function ipRateLimit(req, res, next) {
+  if (withinRateLimit(res, 'ip', req.ip)) {
+    next();
+  }
+}
+
+// Follow-up notification for a finished health probe, on the same deployment as the success it checked
+function healthCheckNotification(result) {
+  const deployed = result.notification;
+  const outcome = result.statusCode ? `HTTP ${result.statusCode} in ${result.latencyMs} ms` : (result.error || 'no response');
+  const now = new Date().toISOString();
+  const environment = notificationField(deployed, 'environment');
+  const deploymentId = notificationField(deployed, 'deploymentId');
+  return {
+    id: notificationStore.nextId(),
+    project: deployed.project,
+    event: result.healthy ? 'health_check_passed' : 'health_check_failed',
+    timestamp: now,
+    message: result.healthy
+      ? `Verified healthy: ${result.probes} probe(s) of ${result.url} OK (slowest ${result.maxLatencyMs} ms)`
+      : `Unhealthy after deploy: ${result.url} returned ${outcome} (${result.failures} of ${result.probes} probe(s) failed)`,
+    receivedAt: now,
+    ...(environment && { environment }),
+    ...(deploymentId && { deploymentId }),
+    // A broken deploy sounds like a failed one
+    ...(!result.healthy && { sound: 'deployment_failure' }),
+    probe: {
+      healthy: result.healthy,
+      url: result.url,
+      statusCode: result.statusCode,
+      latencyMs: result.latencyMs,
+      maxLatencyMs: result.maxLatencyMs,
+      probes: result.probes,
+      failures: result.failures,
+      error: result.error,
+      notificationId: deployed.id
+    }
+  };
+}
+
+// Synthetic notification for a deployment that has not left an in-flight stage in time
+function stuckNotification(entry) {
+  const now = new Date().toISOString();
+  const minutes = Math.round((Date.now() - entry.since) / 60000);
+  const environment = notificationField(entry.notification, 'environment');
+  return {
+    id: notificationStore.nextId(),
+    project: entry.notification.project,
+    event: 'deployment_stuck',
+    timestamp: now,
+    message: `⏳ Deployment stuck in ${entry.stage} for ${minutes} min (threshold ${Math.round(entry.thresholdMs / 60000)} min)`,
+    receivedAt: now,
+    ...(environment && { environment }),
+    deploymentId: entry.deploymentId,
+    stuck: {
+      stage: entry.stage,
+      since: new Date(entry.since).toISOString(),
+      thresholdMinutes: entry.thresholdMs / 60000,
+      notificationId: entry.notification.id
+    }
+  };
+}
+
+// Derived notification for a change of state, on the same deployment as the notification that caused it
+function transitionNotification(transition, cause) {
+  const now = new Date().toISOString();
+  const environment = notificationField(cause, 'environment');
+  const deploymentId = notificationField(cause, 'deploymentId');
+  const messages = {
+    recovered: `🩹 Recovered: ${transition.to} after ${transition.from}, failing since ${transition.previousSince}` +
+      (transition.crashes ? ` (${transition.crashes} crashes while flapping)` : ''),
+    regressed: `📉 Regressed: ${transition.to}, healthy since ${transition.previousSince}`,
+    flapping: `🔁 Flapping: ${transition.crashes} crashes since ${transition.since} - further crashes are counted here until it settles`,
+    settled: `🔕 Stopped flapping: ${transition.crashes} crashes since ${transition.since}, none in the last window`
+  };
+  return {
+    id: notificationStore.nextId(),
+    project: cause.project,
+    event: {
+      recovered: 'deployment_recovered',
+      regressed: 'deployment_regressed',
+      flapping: 'service_flapping',
+      settled: 'service_flapping_settled'
+    }[transition.type],
+    timestamp: now,
+    message: messages[transition.type],
+    receivedAt: now,
+    ...(environment && { environment }),
+    ...(deploymentId && { deploymentId }),
+    transition
+  };
+}
+
+// Synthetic notification for a heartbeat schedule that went silent, or came back
+function heartbeatNotification(schedule, event) {
+  const now = new Date().toISOString();
+  const lastSeenAt = new Date(schedule.lastSeenAt).toISOString();
+  const expected = schedule.event ? schedule.event.join('/') : 'activity';
+  return {
+    id: notificationStore.nextId(),
+    project: schedule.project,
+    event,
+    timestamp: now,
+    message: event === 'heartbeat_missed'
+      ? `💀 No ${expected} from ${schedule.project} since ${lastSeenAt} (expected every ${schedule.every}) - "${schedule.name}"`
+      : `💓 ${schedule.project} is active again - "${schedule.name}"`,
+    receivedAt: now,
+    ...(schedule.environment && schedule.environment.length === 1 && { environment: schedule.environment[0] }),
+    severity: event === 'heartbeat_missed' ? schedule.severity : 'info',
+    ...(event === 'heartbeat_missed' && { sound: 'deployment_failure' }),
+    heartbeat: {
+      schedule: schedule.name,
+      every: schedule.every,
+      lastSeenAt
+    }
+  };
+}
+
+// Notification generated by storm mode itself
+function stormNotification(project, fields) {
+  const now = new Date().toISOString();
+  return {
+    id: notificationStore.nextId(),
+    project,
+    timestamp: now,
+    receivedAt: now,
+    ...fields
+  };
+}
+
+// Acknowledgements sent by dashboards close the matching alerts
+function acknowledgeNotifications(ids, source) {
+  console.log(`👍 Notification(s) ${ids.join(', ')} acknowledged via ${source}`);
+  ids.forEach(id => escalationManager.acknowledge(id, source));
+}
 
-// Verify Railway webhook signature
-function verifyWebhookSignature(payload, signature) {
-  if (!signature) return false;
+// Send an unacknowledged alert to the escalation channels (push and chat by default)
+function escalateAlert(alert) {
+  const minutes = Math.round((Date.now() - new Date(alert.openedAt).getTime()) / 60000);
+  const escalated = {
+    ...alert.notification,
+    message: `⏫ Unacknowledged for ${minutes} min: ${alert.notification.message}`,
+    escalated: true
+  };
   
-  const expectedSignature = crypto
-    .createHmac('sha256', WEBHOOK_SECRET)
-    .update(payload)
-    .digest('hex');
-    
-  return crypto.timingSafeEqual(
-    Buffer.from(signature, 'hex'),
-    Buffer.from(expectedSignature, 'hex')
-  );
+  if (ESCALATION_CHANNELS.includes('push') && pushNotifier.subscriptionCount > 0) {
+    pushNotifier.notify(escalated);
+  }
+  const chatPlatforms = ESCALATION_CHANNELS.filter(channel => ['slack', 'discord', 'teams'].includes(channel));
+  if (chatNotifier.enabled && chatPlatforms.length > 0) {
+    chatNotifier.notify(escalated, chatPlatforms);
+  }
 }
 
-// Railway webhook endpoint
-app.post('/webhook', (req, res) => {
-  const signature = req.headers['x-railway-signature'];
-  const payload = req.body;
+// Verify, normalize and broadcast a webhook from any provider
+function handleProviderWebhook(adapter, req, res) {
+  const signature = adapter.getSignature(req);
+  const payload = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
   
-  // Verify webhook signature (optional but recommended)
-  if (WEBHOOK_SECRET && signature && !verifyWebhookSignature(payload, signature)) {
-    console.log('❌ Invalid webhook signature');
-    return res.status(401).json({ error: 'Invalid signature' });
+  // Verify webhook signature against every active secret
+  const signatureCheck = adapter.verifier.verifySignature(payload, signature);
+  if (!signatureCheck.valid) {
+    console.log(`❌ ${adapter.name} webhook rejected: ${signatureCheck.reason}`);
+    signatureFailures.inc({ provider: adapter.name, reason: metricReason(signatureCheck.reason) });
+    return res.status(signatureCheck.status).json({ error: signatureCheck.reason });
+  }
+  if (signatureCheck.secretIndex > 0) {
+    console.log(`🔑 ${adapter.name} webhook verified with secret #${signatureCheck.secretIndex + 1} (secret rotation in progress)`);
   }
   
   let webhookData;
@@ -64,152 +537,452 @@ app.post('/webhook', (req, res) => {
     return res.status(400).json({ error: 'Invalid JSON' });
   }
   
-  const { type, project, deployment, environment } = webhookData;
+  // Retried delivery with the same Idempotency-Key
+  const idempotencyKey = req.headers['idempotency-key'] ? `key:${req.headers['idempotency-key']}` : null;
+  const previous = idempotencyCache.get(idempotencyKey);
+  if (previous) {
+    return respondDuplicate(res, previous);
+  }
+  
+  // Map the provider payload to our notification system
+  const normalized = adapter.normalize(webhookData, req);
+  if (!normalized) {
+    console.log(`ℹ️ Ignoring unsupported ${adapter.name} webhook event`);
+    res.locals.result = 'ignored';
+    return res.json({ success: true, ignored: true });
+  }
+  
+  res.locals.event = normalized.event;
   
-  // Map Railway event to our notification system
-  const eventType = RAILWAY_EVENT_MAP[type] || type;
+  // Retried delivery of the same deployment event
+  const timestamp = adapter.getTimestamp ? adapter.getTimestamp(webhookData) : undefined;
+  const details = normalized.railwayData || normalized.providerData;
+  const dedupeKey = deploymentEventKey(details.deploymentId, normalized.event, timestamp);
+  const original = idempotencyCache.get(dedupeKey);
+  if (original) {
+    return respondDuplicate(res, original);
+  }
+  
+  // Reject stale or replayed payloads (the timestamp is covered by the signature,
+  // and the signature itself serves as the nonce)
+  if (signatureCheck.signed) {
+    const replayCheck = adapter.verifier.checkReplay(signatureCheck.nonce, timestamp);
+    if (!replayCheck.valid) {
+      console.log(`❌ ${adapter.name} webhook rejected: ${replayCheck.reason}`);
+      signatureFailures.inc({ provider: adapter.name, reason: metricReason(replayCheck.reason) });
+      return res.status(replayCheck.status).json({ error: replayCheck.reason });
+    }
+  }
+  
+  if (!withinProjectRateLimit(res, [normalized])) {
+    return;
+  }
   
   const notification = {
-    id: Date.now(),
-    project: project?.name || 'Unknown Project',
-    event: eventType,
+    id: notificationStore.nextId(),
+    provider: adapter.name,
+    project: normalized.project,
+    event: normalized.event,
     timestamp: new Date().toISOString(),
-    message: generateEventMessage(type, deployment, environment),
+    message: normalized.message,
     receivedAt: new Date().toISOString(),
-    railwayData: {
-      type,
-      projectId: project?.id,
-      deploymentId: deployment?.id,
-      environment: environment?.name,
-      status: deployment?.status,
-      url: deployment?.url
-    }
+    ...(normalized.railwayData ? { railwayData: normalized.railwayData } : { providerData: normalized.providerData })
   };
   
   // Enhanced logging
-  console.log(`🚨 [${notification.receivedAt}] RAILWAY WEBHOOK RECEIVED:`);
-  console.log(`   Project: ${notification.project} (${project?.id})`);
-  console.log(`   Event: ${type} → ${eventType}`);
-  console.log(`   Environment: ${environment?.name || 'N/A'}`);
-  console.log(`   Deployment ID: ${deployment?.id || 'N/A'}`);
-  console.log(`   Status: ${deployment?.status || 'N/A'}`);
-  console.log(`   URL: ${deployment?.url || 'N/A'}`);
-  console.log(`   Connected clients: ${sseClients.length}`);
-  
-  // Store notification (keep last 100)
-  recentNotifications.unshift(notification);
-  if (recentNotifications.length > 100) {
-    recentNotifications = recentNotifications.slice(0, 100);
-  }
+  console.log(`🚨 [${notification.receivedAt}] ${adapter.name.toUpperCase()} WEBHOOK RECEIVED:`);
+  console.log(`   Project: ${notification.project} (${details.projectId})`);
+  console.log(`   Event: ${details.type} → ${notification.event}`);
+  console.log(`   Environment: ${details.environment || 'N/A'}`);
+  console.log(`   Deployment ID: ${details.deploymentId || 'N/A'}`);
+  console.log(`   Status: ${details.status || 'N/A'}`);
+  console.log(`   URL: ${details.url || 'N/A'}`);
+  console.log(`   Connected clients: ${connectedClientCount()}`);
   
-  // Broadcast to all connected SSE clients
-  broadcastNotification(notification);
+  // Store, track and broadcast to all connected SSE clients
+  ingestNotification(notification);
+  idempotencyCache.set(idempotencyKey, notification);
+  idempotencyCache.set(dedupeKey, notification);
   
   // Send response
   res.json({ 
     success: true, 
     received: notification,
-    playSound: true,
-    clientsNotified: sseClients.length
+    playSound: isDelivered(notification),
+    clientsNotified: connectedClientCount()
   });
+}
+
+// Railway webhook endpoint
+app.post('/webhook', countWebhook, ipRateLimit, (req, res) => {
+  handleProviderWebhook(providerAdapters.railway, req, res);
+});
+
+// Webhook endpoint for other CI/CD providers (github, gitlab, vercel, netlify)
+app.post('/webhook/:provider', countWebhook, ipRateLimit, (req, res) => {
+  const adapter = providerAdapters[req.params.provider];
+  if (!adapter) {
+    return res.status(404).json({ error: `Unknown provider: ${req.params.provider}` });
+  }
+  handleProviderWebhook(adapter, req, res);
 });
 
-// Generate human-readable message from Railway webhook data
-function generateEventMessage(type, deployment, environment) {
-  const env = environment?.name || 'production';
-  const url = deployment?.url;
+// Route a notification, store it, update its deployment timeline and deliver it
+function ingestNotification(notification) {
+  if (!isSeverity(notification.severity)) {
+    notification.severity = severityModel.classify(notification);
+  }
   
-  switch (type) {
-    case 'deployment.initialize':
-      return `Deployment initialized for ${env}`;
-    case 'deployment.queued':
-      return `Deployment queued for ${env}`;
-    case 'deployment.building':
-      return `Building deployment for ${env}`;
-    case 'deployment.deploying':
-      return `Deploying to ${env}`;
-    case 'deployment.success':
-      return url ? `Successfully deployed to ${env} at ${url}` : `Successfully deployed to ${env}`;
-    case 'deployment.failed':
-      return `Deployment failed for ${env}`;
-    case 'deployment.crashed':
-      return `Service crashed in ${env}`;
-    case 'deployment.sleeping':
-      return `Service sleeping in ${env}`;
-    case 'deployment.removed':
-      return `Deployment removed from ${env}`;
-    case 'deployment.skipped':
-      return `Deployment skipped for ${env}`;
-    default:
-      return `${type} in ${env}`;
+  // Decide channels, sound and suppression before anything is delivered
+  const route = routingRules.evaluate(notification);
+  notification.routing = { rule: route.rule, channels: route.channels, suppressed: route.suppressed };
+  if (route.sound) {
+    notification.sound = route.sound;
+  }
+  // During a storm the notification is kept in history and reported in the next summary instead
+  if (!route.suppressed && !notification.storm && stormDetector.observe(notification)) {
+    notification.routing.collapsed = true;
   }
+  // Crashes in a loop are kept in history and counted in the flapping alert instead
+  if (transitionDetector.observe(notification) && !route.suppressed && !notification.routing.collapsed) {
+    notification.routing.collapsed = true;
+    notification.routing.flapping = true;
+  }
+  
+  // Retention is handled by the store
+  notificationStore.add(notification);
+  const deployment = deploymentTracker.record(notification);
+  if (deployment && isFirstTerminalStage(deployment, notification)) {
+    observeStageDurations(deployment);
+  }
+  healthProber.watch(notification);
+  stuckDetector.observe(notification);
+  heartbeatMonitor.observe(notification);
+  // The board shows state, so it updates even for notifications that are not delivered
+  const status = statusBoard.observe(notification);
+  if (status) {
+    broadcastMessage({ type: 'status', entry: status }, status, matchesBoard);
+  }
+  notificationsIngested.inc({
+    event: metricEvent(notification.event),
+    outcome: route.suppressed ? 'suppressed' : (notification.routing.collapsed ? 'collapsed' : 'delivered')
+  });
+  
+  if (route.suppressed) {
+    console.log(`🔇 Notification ${notification.id} suppressed by routing rule "${route.rule}"`);
+    return notification;
+  }
+  if (notification.routing.collapsed) {
+    console.log(notification.routing.flapping
+      ? `🔁 Notification ${notification.id} counted in the ${notification.project} flapping alert`
+      : `🌪️ Notification ${notification.id} collapsed into the ${notification.project} storm summary`);
+    return notification;
+  }
+  if (route.rule) {
+    console.log(`🧭 Routing rule "${route.rule}" → ${route.channels.join(', ') || 'no channels'}`);
+  }
+  
+  broadcastNotification(notification);
+  
+  // Chat delivery is fire-and-forget; failures go to the notifier's retry queue
+  const chatPlatforms = route.channels.filter(channel => ['slack', 'discord', 'teams'].includes(channel));
+  if (chatNotifier.enabled && chatPlatforms.length > 0) {
+    chatNotifier.notify(notification, chatPlatforms);
+  }
+  
+  // Critical notifications on the dashboard keep sounding until someone acknowledges them
+  if (route.channels.includes('dashboard')) {
+    const alert = escalationManager.track(notification);
+    if (alert) {
+      broadcastMessage({ type: 'alert', alert }, notification);
+    }
+  }
+  return notification;
+}
+
+// True when this notification is the one that finished its deployment
+function isFirstTerminalStage(deployment, notification) {
+  return TERMINAL_STAGES.includes(notification.event) &&
+    deployment.stages.filter(stage => TERMINAL_STAGES.includes(stage.stage)).length === 1;
+}
+
+function observeStageDurations(deployment) {
+  const { queueMs, buildMs, deployMs, totalMs } = deployment.durations;
+  [['queue', queueMs], ['build', buildMs], ['deploy', deployMs], ['total', totalMs]].forEach(([stage, ms]) => {
+    if (typeof ms === 'number' && ms >= 0) {
+      stageDuration.observe({ stage }, ms / 1000);
+    }
+  });
+}
+
+// Answer a retried delivery with what was originally received, without storing or broadcasting again
+function respondDuplicate(res, original) {
+  const ids = Array.isArray(original) ? original.map(notification => notification.id).join(', ') : original.id;
+  console.log(`♻️ Duplicate delivery suppressed (original notification ${ids})`);
+  res.locals.result = 'duplicate';
+  res.json({
+    success: true,
+    duplicate: true,
+    received: original,
+    playSound: false,
+    clientsNotified: 0
+  });
+}
+
+// Identify the producer posting to /notify: returns its API key (null while no keys are configured),
+// or undefined after sending a 401
+function authenticateProducer(req, res) {
+  if (!apiKeys.enabled) {
+    if (NOTIFY_ALLOW_ANONYMOUS) {
+      return null;
+    }
+    // Fail closed: anyone could report for any project
+    console.log('🔒 Rejected /notify: no API keys configured');
+    res.set('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ error: 'No API keys are configured; set NOTIFY_API_KEYS, or NOTIFY_ALLOW_ANONYMOUS=true to accept any client' });
+    return undefined;
+  }
+  const apiKey = apiKeys.find(ApiKeyRegistry.fromRequest(req));
+  if (!apiKey) {
+    console.log('🔒 Rejected /notify: missing or unknown API key');
+    res.set('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ error: 'A valid API key is required (X-API-Key header)' });
+    return undefined;
+  }
+  return apiKey;
+}
+
+// Items the API key may not report, as { index, project, event, message } details
+function outOfScopeItems(apiKey, items) {
+  if (!apiKey) {
+    return [];
+  }
+  return items
+    .map((item, index) => ({ index, project: item.project, event: item.event }))
+    .filter(item => !apiKeys.allows(apiKey, item))
+    .map(item => ({ ...item, message: `API key "${apiKey.id}" may not report ${item.event} for ${item.project}` }));
+}
+
+// Idempotency keys are per producer, so one key can never replay another's response
+function notifyIdempotencyKey(req, apiKey) {
+  const header = req.headers['idempotency-key'];
+  return header ? `key:${apiKey ? apiKey.id : ''}:${header}` : null;
 }
 
-// Legacy notification endpoint (for backward compatibility)
-app.all('/notify', (req, res) => {
+// Notification endpoint: JSON body (single object or batch array) or legacy query parameters
+app.all('/notify', countNotify, ipRateLimit, (req, res) => {
+  const apiKey = authenticateProducer(req, res);
+  if (apiKey === undefined) return;
+  if (apiKey && !withinRateLimit(res, 'key', apiKey.id)) return;
+  
+  if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+    return handleJsonNotify(req, res, apiKey);
+  }
+  
+  const idempotencyKey = notifyIdempotencyKey(req, apiKey);
+  const previous = idempotencyCache.get(idempotencyKey);
+  if (previous) {
+    return respondDuplicate(res, previous);
+  }
+  
   const { project, event, timestamp, message } = req.query;
   
   const notification = {
-    id: Date.now(),
+    id: notificationStore.nextId(),
     project: project || 'Manual Notification',
     event: event || 'unknown',
     timestamp: timestamp || new Date().toISOString(),
     message: message || '',
     receivedAt: new Date().toISOString(),
-    isLegacy: true
+    isLegacy: true,
+    ...(apiKey && { apiKeyId: apiKey.id })
   };
   
+  const denied = outOfScopeItems(apiKey, [notification]);
+  if (denied.length > 0) {
+    console.log(`🚫 ${denied[0].message}`);
+    return res.status(403).json({ error: 'API key not allowed for this project or event', details: denied });
+  }
+  if (!withinProjectRateLimit(res, [notification])) {
+    return;
+  }
+  
   console.log(`📢 [${notification.receivedAt}] LEGACY NOTIFICATION:`);
   console.log(`   Project: ${notification.project}`);
   console.log(`   Event: ${notification.event}`);
   console.log(`   Message: ${notification.message}`);
-  console.log(`   Connected clients: ${sseClients.length}`);
+  console.log(`   Connected clients: ${connectedClientCount()}`);
   
-  recentNotifications.unshift(notification);
-  if (recentNotifications.length > 100) {
-    recentNotifications = recentNotifications.slice(0, 100);
-  }
-  
-  broadcastNotification(notification);
+  ingestNotification(notification);
+  idempotencyCache.set(idempotencyKey, notification);
   
   res.json({ 
     success: true, 
     received: notification,
-    playSound: true,
-    clientsNotified: sseClients.length
+    playSound: isDelivered(notification),
+    clientsNotified: connectedClientCount()
   });
 });
 
-// Broadcast notification to all SSE clients
+// JSON POST /notify - validates every item before ingesting any of them
+function handleJsonNotify(req, res, apiKey) {
+  let body;
+  try {
+    body = JSON.parse(req.body.toString());
+  } catch (error) {
+    console.log('❌ Invalid JSON payload');
+    return res.status(400).json({ error: 'Invalid JSON' });
+  }
+  
+  const { items, batch, errors } = validateNotifyBody(body);
+  if (errors.length > 0) {
+    console.log(`❌ Rejected /notify payload: ${errors.length} validation error(s)`);
+    return res.status(422).json({ error: 'Validation failed', details: errors });
+  }
+  
+  const denied = outOfScopeItems(apiKey, items);
+  if (denied.length > 0) {
+    console.log(`🚫 Rejected /notify payload: ${denied.length} item(s) outside the scope of API key "${apiKey.id}"`);
+    return res.status(403).json({ error: 'API key not allowed for this project or event', details: denied });
+  }
+  
+  const idempotencyKey = notifyIdempotencyKey(req, apiKey);
+  const previous = idempotencyCache.get(idempotencyKey);
+  if (previous) {
+    return respondDuplicate(res, previous);
+  }
+  if (!withinProjectRateLimit(res, items)) {
+    return;
+  }
+  
+  const receivedAt = new Date().toISOString();
+  let duplicates = 0;
+  const received = items.map(item => {
+    // Items for a deployment event we already have get the original back
+    const dedupeKey = deploymentEventKey(item.deploymentId, item.event, item.timestamp);
+    const original = idempotencyCache.get(dedupeKey);
+    if (original) {
+      duplicates++;
+      return original;
+    }
+    
+    const notification = {
+      id: notificationStore.nextId(),
+      project: item.project,
+      event: item.event,
+      timestamp: item.timestamp || receivedAt,
+      message: item.message || '',
+      receivedAt,
+      ...(item.environment && { environment: item.environment }),
+      ...(item.deploymentId && { deploymentId: item.deploymentId }),
+      ...(item.status && { status: item.status }),
+      ...(item.url && { url: item.url }),
+      ...(item.severity && { severity: item.severity }),
+      ...(item.metadata && { metadata: item.metadata }),
+      ...(apiKey && { apiKeyId: apiKey.id })
+    };
+    
+    console.log(`📢 [${receivedAt}] NOTIFICATION: ${notification.project} → ${notification.event}${notification.message ? ` (${notification.message})` : ''}`);
+    ingestNotification(notification);
+    idempotencyCache.set(dedupeKey, notification);
+    return notification;
+  });
+  idempotencyCache.set(idempotencyKey, batch ? received : received[0]);
+  
+  if (!batch && duplicates > 0) {
+    return respondDuplicate(res, received[0]);
+  }
+  
+  res.json({
+    success: true,
+    received: batch ? received : received[0],
+    count: received.length,
+    duplicates,
+    playSound: received.some(isDelivered),
+    clientsNotified: connectedClientCount()
+  });
+}
+
+// Write one SSE message; the id line lets clients resume with Last-Event-ID
+function writeSseMessage(client, message, id) {
+  client.write(`${id !== undefined ? `id: ${id}\n` : ''}data: ${JSON.stringify(message)}\n\n`);
+}
+
+// Broadcast notification to every SSE and WebSocket client whose subscription filter matches,
+// and to Web Push subscribers, as far as the notification's routing allows
 function broadcastNotification(notification) {
-  console.log(`📡 Broadcasting to ${sseClients.length} connected clients...`);
+  const channels = notification.routing ? notification.routing.channels : CHANNELS;
+  
+  if (channels.includes('push') && pushNotifier.subscriptionCount > 0) {
+    // Web Push reaches browsers whose dashboard tab is closed
+    pushNotifier.notify(notification);
+  }
+  
+  if (!channels.includes('dashboard')) {
+    return;
+  }
+  
+  console.log(`📡 Broadcasting to ${connectedClientCount()} connected clients...`);
+  const started = process.hrtime.bigint();
+  
+  if (webSocketTransport) {
+    const delivered = webSocketTransport.broadcast(notification);
+    console.log(`   ✅ Sent to ${delivered} WebSocket client(s)`);
+  }
   
-  sseClients.forEach((client, index) => {
+  sseClients.slice().forEach((client, index) => {
+    if (!matchesSubscription(client.locals.subscription, notification)) {
+      console.log(`   ⏭️ Filtered out for client ${index + 1}`);
+      return;
+    }
     try {
-      client.write(`data: ${JSON.stringify({
+      writeSseMessage(client, {
         type: 'notification',
         notification: notification
-      })}\n\n`);
+      }, notification.id);
       console.log(`   ✅ Sent to client ${index + 1}`);
     } catch (error) {
       console.log(`   ❌ Failed to send to client ${index + 1}:`, error.message);
       // Remove dead client
-      sseClients.splice(index, 1);
+      dropSseClient(client);
+    }
+  });
+  broadcastDuration.observe({}, Number(process.hrtime.bigint() - started) / 1e9);
+}
+
+// Send a message about a notification to the SSE and WebSocket clients subscribed to it
+function broadcastMessage(message, notification, matches = matchesSubscription) {
+  if (webSocketTransport) {
+    webSocketTransport.broadcastMessage(message, notification, matches);
+  }
+  sseClients.slice().forEach(client => {
+    if (!matches(client.locals.subscription, notification)) return;
+    try {
+      writeSseMessage(client, message);
+    } catch (error) {
+      dropSseClient(client);
     }
   });
 }
 
 // Server-Sent Events endpoint for real-time notifications
-app.get('/events', (req, res) => {
+// Reconnecting clients send Last-Event-ID (or ?lastEventId=) to get what they missed
+// Optional filters: ?project=&environment=&event=&minSeverity=
+app.get('/events', requireAuth, (req, res) => {
+  const { filter, error } = parseSubscriptionFilter(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
   console.log('🔌 New SSE client connected');
+  res.locals.subscription = filter;
   
   // Set SSE headers
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
+    'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
   });
   
   // Add client to list
@@ -217,20 +990,50 @@ app.get('/events', (req, res) => {
   console.log(`📊 Total connected clients: ${sseClients.length}`);
   
   // Send initial connection message
-  res.write(`data: ${JSON.stringify({
+  writeSseMessage(res, {
     type: 'connected',
     message: 'Connected to deployment notifications',
     clientCount: sseClients.length
-  })}\n\n`);
+  });
   
-  // Send recent notifications
-  if (recentNotifications.length > 0) {
-    res.write(`data: ${JSON.stringify({
-      type: 'history',
-      notifications: recentNotifications.slice(0, 5)
-    })}\n\n`);
+  const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10);
+  if (Number.isInteger(lastEventId)) {
+    // Replay exactly the notifications this client missed
+    const missed = notificationStore.listAfter(lastEventId)
+      .filter(notification => reachedDashboard(notification) && matchesSubscription(filter, notification));
+    console.log(`⏪ Replaying ${missed.length} missed notification(s) after ${lastEventId}`);
+    missed.forEach(notification => {
+      writeSseMessage(res, {
+        type: 'notification',
+        notification: notification,
+        replayed: true
+      }, notification.id);
+    });
+  } else {
+    // Send recent notifications that match the subscription
+    const history = notificationStore.list()
+      .filter(notification => reachedDashboard(notification) && matchesSubscription(filter, notification))
+      .slice(0, 5);
+    if (history.length > 0) {
+      writeSseMessage(res, {
+        type: 'history',
+        notifications: history
+      }, history[0].id);
+    }
   }
   
+  // Alerts still waiting for acknowledgement
+  writeSseMessage(res, {
+    type: 'alerts',
+    alerts: escalationManager.list().filter(alert => matchesSubscription(filter, alert.notification))
+  });
+  
+  // Status board for the subscribed projects and environments
+  writeSseMessage(res, {
+    type: 'status_board',
+    entries: statusBoard.list().filter(entry => matchesBoard(filter, entry))
+  });
+  
   // Handle client disconnect
   req.on('close', () => {
     console.log('🔌 SSE client disconnected');
@@ -244,16 +1047,13 @@ app.get('/events', (req, res) => {
   // Keep connection alive
   const keepAlive = setInterval(() => {
     try {
-      res.write(`data: ${JSON.stringify({
+      writeSseMessage(res, {
         type: 'ping',
         timestamp: new Date().toISOString()
-      })}\n\n`);
+      });
     } catch (error) {
       clearInterval(keepAlive);
-      const index = sseClients.indexOf(res);
-      if (index !== -1) {
-        sseClients.splice(index, 1);
-      }
+      dropSseClient(res);
     }
   }, 30000); // Ping every 30 seconds
   
@@ -262,18 +1062,366 @@ app.get('/events', (req, res) => {
   });
 });
 
-// Get recent notifications
-app.get('/notifications', (req, res) => {
-  res.json(recentNotifications.slice(0, 10)); // Return last 10
+// Split a comma-separated query parameter into a list
+// Parse an ISO date or epoch milliseconds
+function parseDateParam(value) {
+  if (value === undefined || value === '') return null;
+  const date = /^\d+$/.test(value) ? new Date(parseInt(value, 10)) : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Query notification history
+// GET /notifications?project=&environment=&event=&status=&since=&until=&q=&limit=&order=&cursor=
+app.get('/notifications', requireAuth, (req, res) => {
+  const since = parseDateParam(req.query.since);
+  const until = parseDateParam(req.query.until);
+  if (since === undefined || until === undefined) {
+    return res.status(400).json({ error: 'since/until must be an ISO date or epoch milliseconds' });
+  }
+
+  const limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: 'limit must be between 1 and 100' });
+  }
+
+  const order = req.query.order || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    return res.status(400).json({ error: 'order must be asc or desc' });
+  }
+
+  const status = parseList(req.query.status);
+
+  try {
+    res.json(notificationStore.query({
+      project: parseList(req.query.project),
+      environment: parseList(req.query.environment),
+      event: parseList(req.query.event),
+      status: status && status.map(value => value.toLowerCase()),
+      since,
+      until,
+      search: req.query.q ? String(req.query.q) : null,
+      cursor: req.query.cursor,
+      limit,
+      order
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Parse a JSON request body (left as a Buffer by express.raw); sends 400 and returns undefined if invalid
+function readJsonBody(req, res) {
+  try {
+    return JSON.parse(Buffer.isBuffer(req.body) ? req.body.toString() : '');
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid JSON' });
+    return undefined;
+  }
+}
+
+// VAPID public key the dashboard needs to create a push subscription
+app.get('/push/vapid-public-key', requireAuth, (req, res) => {
+  res.json({ publicKey: pushNotifier.publicKey });
+});
+
+// Register a browser push subscription: { subscription, filter? }
+app.post('/push/subscribe', requireAuth, (req, res) => {
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  
+  const subscription = body && body.subscription;
+  if (!subscription || typeof subscription.endpoint !== 'string' || !subscription.keys ||
+      typeof subscription.keys.p256dh !== 'string' || typeof subscription.keys.auth !== 'string') {
+    return res.status(422).json({ error: 'subscription must include endpoint, keys.p256dh and keys.auth' });
+  }
+  const endpointError = validatePushEndpoint(subscription.endpoint);
+  if (endpointError) {
+    return res.status(422).json({ error: endpointError });
+  }
+  
+  const { filter, error } = parseSubscriptionFilter(body.filter || {});
+  if (error) {
+    return res.status(422).json({ error });
+  }
+  
+  const stored = pushNotifier.subscribe({
+    endpoint: subscription.endpoint,
+    expirationTime: subscription.expirationTime || null,
+    keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth }
+  }, filter);
+  if (!stored) {
+    console.log(`📲 Rejected push subscription: limit of ${PUSH_MAX_SUBSCRIPTIONS} reached`);
+    return res.status(429).json({ error: `At most ${PUSH_MAX_SUBSCRIPTIONS} push subscriptions can be registered` });
+  }
+  console.log(`📲 Push subscription registered (${pushNotifier.subscriptionCount} total)`);
+  res.status(201).json({ success: true, subscriptions: pushNotifier.subscriptionCount });
+});
+
+// Remove a browser push subscription: { endpoint }
+app.post('/push/unsubscribe', requireAuth, (req, res) => {
+  const body = readJsonBody(req, res);
+  if (body === undefined) return;
+  
+  if (!body || typeof body.endpoint !== 'string') {
+    return res.status(422).json({ error: 'endpoint is required' });
+  }
+  res.json({ success: true, removed: pushNotifier.unsubscribe(body.endpoint) });
+});
+
+// Service worker that shows push notifications while the dashboard is closed
+app.get('/sw.js', (req, res) => {
+  res.type('application/javascript');
+  res.set('Cache-Control', 'no-cache');
+  res.send(`
+    self.addEventListener('push', function(event) {
+      let data = {};
+      try {
+        data = event.data ? event.data.json() : {};
+      } catch (e) {
+        data = { title: 'Deployment Alert', body: event.data ? event.data.text() : '' };
+      }
+      
+      event.waitUntil(self.registration.showNotification(data.title || 'Deployment Alert', {
+        body: data.body || '',
+        tag: data.tag,
+        renotify: true,
+        icon: '/favicon.ico',
+        data: { url: data.url || '/' }
+      }));
+    });
+    
+    self.addEventListener('notificationclick', function(event) {
+      event.notification.close();
+      const target = event.notification.data && event.notification.data.url ? event.notification.data.url : '/';
+      
+      event.waitUntil(clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function(windowClients) {
+        // Focus an open dashboard instead of opening another one
+        if (target === '/') {
+          for (const client of windowClients) {
+            if ('focus' in client) return client.focus();
+          }
+        }
+        return clients.openWindow(target);
+      }));
+    });
+  `);
+});
+
+// DORA-style metrics per project and environment over a window (?window=30d, or since/until)
+app.get('/analytics', requireAuth, (req, res) => {
+  const windowMs = req.query.window === undefined ? 30 * 24 * 60 * 60 * 1000 : parseDuration(req.query.window);
+  if (windowMs === null) {
+    return res.status(400).json({ error: 'window must look like 12h, 7d or 4w' });
+  }
+  const since = parseDateParam(req.query.since);
+  const until = parseDateParam(req.query.until);
+  if (since === undefined || until === undefined) {
+    return res.status(400).json({ error: 'since/until must be an ISO date or epoch milliseconds' });
+  }
+  
+  const end = until || new Date();
+  const start = since || new Date(end.getTime() - windowMs);
+  if (start >= end) {
+    return res.status(400).json({ error: 'since must be before until' });
+  }
+  
+  res.json(computeDeploymentAnalytics(notificationStore.list(), {
+    since: start,
+    until: end,
+    project: parseList(req.query.project),
+    environment: parseList(req.query.environment)
+  }));
+});
+
+// Current state of every project/environment pair; optional ?project=&environment=
+app.get('/status', requireAuth, (req, res) => {
+  const project = parseList(req.query.project);
+  const environment = parseList(req.query.environment);
+  const entries = statusBoard.list().filter(entry =>
+    (!project || project.includes(entry.project)) &&
+    (!environment || environment.includes(entry.environment)));
+
+  const counts = { healthy: 0, unhealthy: 0, in_progress: 0, unknown: 0 };
+  entries.forEach(entry => counts[entry.state]++);
+  res.json({ generatedAt: new Date().toISOString(), counts, entries });
+});
+
+// Heartbeat schedules and whether each is on time
+app.get('/heartbeats', requireAuth, (req, res) => {
+  res.json(heartbeatMonitor.list());
+});
+
+// Critical alerts still waiting for acknowledgement, oldest first
+app.get('/alerts', requireAuth, (req, res) => {
+  res.json(escalationManager.list());
+});
+
+// Acknowledge an open alert (stops repeats and escalation)
+app.post('/alerts/:id/ack', requireAuth, (req, res) => {
+  if (!escalationManager.get(req.params.id)) {
+    return res.status(404).json({ error: 'Alert not found or already acknowledged' });
+  }
+  acknowledgeNotifications([req.params.id], dashboardAuth.enabled ? `HTTP (${res.locals.user})` : 'HTTP');
+  res.json({ success: true, acknowledged: req.params.id });
+});
+
+// The dashboard's "Test Notification" button; behind dashboard auth, so it needs no /notify API key
+app.post('/test-notification', requireAuth, (req, res) => {
+  const now = new Date().toISOString();
+  const notification = {
+    id: notificationStore.nextId(),
+    project: 'test',
+    event: 'deployment_success',
+    timestamp: now,
+    message: 'Test notification from web interface',
+    receivedAt: now
+  };
+  console.log(`🧪 Test notification requested${dashboardAuth.enabled ? ` by ${res.locals.user}` : ''}`);
+  ingestNotification(notification);
+  res.json({
+    success: true,
+    received: notification,
+    playSound: isDelivered(notification),
+    clientsNotified: connectedClientCount()
+  });
+});
+
+// Loaded routing rules, in evaluation order
+app.get('/rules', requireAuth, (req, res) => {
+  res.json(routingRules.source);
+});
+
+// Recently updated deployments with their lifecycle timelines
+app.get('/deployments', requireAuth, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 100);
+  res.json(deploymentTracker.list(limit));
+});
+
+// Full timeline for a single Railway deployment
+app.get('/deployments/:id', requireAuth, (req, res) => {
+  const deployment = deploymentTracker.get(req.params.id);
+  if (!deployment) {
+    return res.status(404).json({ error: 'Deployment not found' });
+  }
+  res.json(deployment);
+});
+
+// Endpoints for monitors have their own optional token, separate from dashboard credentials
+function requireMonitorToken(expected, name) {
+  return (req, res, next) => {
+    if (!expected) {
+      return next();
+    }
+    const token = (req.headers.authorization || '').replace(/^Bearer /i, '') || req.query.token;
+    if (!token || !safeEqual(token, expected)) {
+      return res.status(401).json({ error: `Invalid or missing ${name} token` });
+    }
+    next();
+  };
+}
+
+// Prometheus scrape endpoint
+app.get('/metrics', requireMonitorToken(METRICS_TOKEN, 'metrics'), (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
 });
 
 // Health check
-app.get('/health', (req, res) => {
+app.get('/health', requireMonitorToken(HEALTH_TOKEN, 'health check'), (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// Only redirect back to paths on this server after login
+function safeRedirectPath(value) {
+  return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : '/';
+}
+
+function renderLoginPage({ next, error }) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Sign in - Deployment Alert 🚨</title>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
+        .container { max-width: 360px; margin: 60px auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        h1 { color: #333; margin-top: 0; }
+        label { display: block; margin: 15px 0 5px; color: #4a5568; }
+        input { width: 100%; box-sizing: border-box; padding: 8px; border: 1px solid #e2e8f0; border-radius: 5px; }
+        button { margin-top: 20px; width: 100%; padding: 10px; background: #4299e1; color: white; border: none; border-radius: 5px; cursor: pointer; }
+        .error { background: #fed7d7; color: #c53030; padding: 10px; border-radius: 5px; }
+        .divider { text-align: center; color: #a0aec0; margin-top: 20px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h1>🚨 Deployment Alert</h1>
+        ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+        <form method="POST" action="/login">
+          <input type="hidden" name="next" value="${escapeHtml(next)}">
+          ${dashboardAuth.users.size > 0 ? `
+            <label for="username">Username</label>
+            <input id="username" name="username" autocomplete="username">
+            <label for="password">Password</label>
+            <input id="password" name="password" type="password" autocomplete="current-password">
+          ` : ''}
+          ${dashboardAuth.users.size > 0 && dashboardAuth.tokens.length > 0 ? '<div class="divider">or</div>' : ''}
+          ${dashboardAuth.tokens.length > 0 ? `
+            <label for="token">Access token</label>
+            <input id="token" name="token" type="password" autocomplete="off">
+          ` : ''}
+          <button type="submit">Sign in</button>
+        </form>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+app.get('/login', (req, res) => {
+  if (!dashboardAuth.enabled) {
+    return res.redirect('/');
+  }
+  res.send(renderLoginPage({ next: safeRedirectPath(req.query.next) }));
+});
+
+// Exchange a password or access token for a session cookie
+app.post('/login', express.urlencoded({ extended: false }), (req, res) => {
+  const { username, password, token } = req.body || {};
+  const next = safeRedirectPath(req.body && req.body.next);
+  let user = null;
+  if (username && dashboardAuth.checkPassword(username, password || '')) {
+    user = username;
+  } else if (token && dashboardAuth.checkToken(token)) {
+    user = 'token';
+  }
+  
+  if (!user) {
+    console.log(`🔒 Failed sign-in attempt${username ? ` for "${username}"` : ''} from ${req.ip}`);
+    return res.status(401).send(renderLoginPage({ next, error: 'Invalid credentials' }));
+  }
+  
+  console.log(`🔓 ${user} signed in from ${req.ip}`);
+  res.set('Set-Cookie', dashboardAuth.sessionCookie(dashboardAuth.createSession(user), req));
+  res.redirect(303, next);
+});
+
+app.post('/logout', (req, res) => {
+  dashboardAuth.destroySession(req);
+  res.set('Set-Cookie', dashboardAuth.sessionCookie(null, req));
+  res.redirect(303, dashboardAuth.enabled ? '/login' : '/');
+});
+
 // Serve main page
-app.get('/', (req, res) => {
+app.get('/', requireAuth, (req, res) => {
   res.send(`
     <!DOCTYPE html>
     <html>
@@ -358,6 +1506,51 @@ app.get('/', (req, res) => {
           font-size: 16px;
         }
         
+        .log-severity {
+          display: inline-block;
+          margin-left: 6px;
+          padding: 0 6px;
+          border-radius: 8px;
+          font-size: 11px;
+          text-transform: uppercase;
+        }
+        
+        .log-severity.info { background: #ebf8ff; color: #2b6cb0; }
+        .log-severity.warning { background: #fffaf0; color: #c05621; }
+        .log-severity.critical { background: #fed7d7; color: #c53030; }
+        
+        /* Status Board Styles */
+        .status-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+          gap: 10px;
+        }
+        
+        .status-tile {
+          border-radius: 8px;
+          padding: 12px;
+          color: white;
+          background: #a0aec0;
+          overflow: hidden;
+        }
+        
+        .status-tile.healthy { background: #48bb78; }
+        .status-tile.unhealthy { background: #f56565; }
+        .status-tile.in_progress { background: #4299e1; }
+        .status-tile a { color: white; }
+        .status-project { font-weight: bold; font-size: 16px; margin-bottom: 4px; }
+        .status-meta { font-size: 12px; opacity: 0.9; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        
+        /* Wall view: only the status board, large enough to read across the room */
+        body.wall-view { background: #1a202c; }
+        body.wall-view .container { max-width: none; background: transparent; box-shadow: none; }
+        body.wall-view .container > *:not(#statusBoardPanel) { display: none; }
+        body.wall-view #statusBoardPanel { background: transparent; color: white; margin: 0; }
+        body.wall-view .status-grid { grid-template-columns: repeat(auto-fill, minmax(320px, 1fr)); gap: 20px; }
+        body.wall-view .status-tile { padding: 24px; }
+        body.wall-view .status-project { font-size: 32px; }
+        body.wall-view .status-meta { font-size: 18px; }
+        
         @keyframes highlight {
           0% { background-color: #bee3f8; }
           100% { background-color: #e6fffa; }
@@ -366,6 +1559,12 @@ app.get('/', (req, res) => {
     </head>
     <body>
       <div class="container">
+        ${dashboardAuth.enabled ? `
+          <form method="POST" action="/logout" style="float: right; font-size: 14px; color: #718096;">
+            Signed in as ${escapeHtml(res.locals.user)}
+            <button type="submit" class="btn btn-secondary">Sign out</button>
+          </form>
+        ` : ''}
         <h1>🚨 Railway Deployment Alert</h1>
         <p class="subtitle">Real-time audio notifications for Railway deployment events via webhooks</p>
         
@@ -387,6 +1586,14 @@ app.get('/', (req, res) => {
           </p>
         </div>
         
+        <div style="background: #f7fafc; border: 1px solid #e2e8f0; border-radius: 8px; padding: 15px; margin: 20px 0;">
+          <h3>🔌 Other CI/CD Providers</h3>
+          <p>GitHub Actions, GitLab CI, Vercel and Netlify webhooks use the same sounds and live log:</p>
+          <div class="endpoint" style="font-size: 14px;">
+            ${Object.keys(providerAdapters).filter(name => name !== 'railway').map(name => `${req.get('host').includes('railway.app') ? 'https' : req.protocol}://${req.get('host')}/webhook/${name}`).join('<br>')}
+          </div>
+        </div>
+        
         <h2>📋 Supported Railway Webhook Events</h2>
         <div class="event-types">
           <div class="event-type">
@@ -429,6 +1636,22 @@ app.get('/', (req, res) => {
             <strong>⏭️ deployment.skipped</strong><br>
             Deployment was skipped
           </div>
+          <div class="event-type">
+            <strong>⏳ deployment_stuck</strong><br>
+            No progress from queued, building or deploying in time (raised by this server)
+          </div>
+          <div class="event-type">
+            <strong>🩹 deployment_recovered</strong><br>
+            A success after a failure or crash (raised by this server)
+          </div>
+          <div class="event-type">
+            <strong>📉 deployment_regressed</strong><br>
+            A failure or crash after a success (raised by this server)
+          </div>
+          <div class="event-type">
+            <strong>🔁 service_flapping</strong><br>
+            Repeated crashes collapsed into one alert with a count (raised by this server)
+          </div>
         </div>
         
         <div style="background: #f7fafc; border: 1px solid #e2e8f0; border-radius: 8px; padding: 15px; margin: 20px 0;">
@@ -465,6 +1688,54 @@ app.get('/', (req, res) => {
             <span id="volumeDisplay">70%</span>
           </div>
           
+          <h3>🎚️ Sound by Severity</h3>
+          <p>Each notification has a severity (info, warning or critical) from its event, environment and project. Quieter severities play softer, and each can play its own sound instead of the event's.</p>
+          <div class="volume-control">
+            <label for="severityVolume_info">ℹ️ Info:</label>
+            <input type="range" id="severityVolume_info" class="volume-slider" min="0" max="1" step="0.1" value="0.4" oninput="setSeveritySound('info')">
+            <span id="severityVolumeDisplay_info">40%</span>
+            <select id="severitySound_info" onchange="setSeveritySound('info')" style="padding: 6px; border: 1px solid #e2e8f0; border-radius: 5px;">
+              <option value="event">Event's own sound</option>
+              <option value="build_start">Build Start</option>
+              <option value="deployment_success">Deployment Success</option>
+              <option value="deployment_failure">Deployment Failure</option>
+              <option value="service_crash">Service Crash</option>
+              <option value="service_flapping">Flapping</option>
+              <option value="none">Silent</option>
+            </select>
+            <button class="btn btn-primary" onclick="playNotificationSound('deployment_failure', 'info')">Test</button>
+          </div>
+          <div class="volume-control">
+            <label for="severityVolume_warning">⚠️ Warning:</label>
+            <input type="range" id="severityVolume_warning" class="volume-slider" min="0" max="1" step="0.1" value="0.7" oninput="setSeveritySound('warning')">
+            <span id="severityVolumeDisplay_warning">70%</span>
+            <select id="severitySound_warning" onchange="setSeveritySound('warning')" style="padding: 6px; border: 1px solid #e2e8f0; border-radius: 5px;">
+              <option value="event">Event's own sound</option>
+              <option value="build_start">Build Start</option>
+              <option value="deployment_success">Deployment Success</option>
+              <option value="deployment_failure">Deployment Failure</option>
+              <option value="service_crash">Service Crash</option>
+              <option value="service_flapping">Flapping</option>
+              <option value="none">Silent</option>
+            </select>
+            <button class="btn btn-primary" onclick="playNotificationSound('deployment_failure', 'warning')">Test</button>
+          </div>
+          <div class="volume-control">
+            <label for="severityVolume_critical">🚨 Critical:</label>
+            <input type="range" id="severityVolume_critical" class="volume-slider" min="0" max="1" step="0.1" value="1.0" oninput="setSeveritySound('critical')">
+            <span id="severityVolumeDisplay_critical">100%</span>
+            <select id="severitySound_critical" onchange="setSeveritySound('critical')" style="padding: 6px; border: 1px solid #e2e8f0; border-radius: 5px;">
+              <option value="event">Event's own sound</option>
+              <option value="build_start">Build Start</option>
+              <option value="deployment_success">Deployment Success</option>
+              <option value="deployment_failure">Deployment Failure</option>
+              <option value="service_crash">Service Crash</option>
+              <option value="service_flapping">Flapping</option>
+              <option value="none">Silent</option>
+            </select>
+            <button class="btn btn-primary" onclick="playNotificationSound('deployment_failure', 'critical')">Test</button>
+          </div>
+          
           <div class="sound-controls">
             <div class="sound-control">
               <h4><span class="event-icon">🔨</span> Build Start</h4>
@@ -531,6 +1802,50 @@ app.get('/', (req, res) => {
               <input type="file" id="file_service_crash" class="file-input" accept="audio/*" style="display:none" onchange="uploadCustomSound('service_crash', this.files[0])">
               <div id="status_service_crash" class="sound-status">Using default sound</div>
             </div>
+            
+            <div class="sound-control">
+              <h4><span class="event-icon">⏳</span> Deployment Stuck</h4>
+              <div class="sound-buttons">
+                <button class="btn btn-primary" onclick="testSound('deployment_stuck')">Test Sound</button>
+                <button class="btn btn-secondary" onclick="document.getElementById('file_deployment_stuck').click()">Upload Custom</button>
+                <button class="btn btn-danger" onclick="removeCustomSound('deployment_stuck')">Reset to Default</button>
+              </div>
+              <input type="file" id="file_deployment_stuck" class="file-input" accept="audio/*" style="display:none" onchange="uploadCustomSound('deployment_stuck', this.files[0])">
+              <div id="status_deployment_stuck" class="sound-status">Using default sound</div>
+            </div>
+            
+            <div class="sound-control">
+              <h4><span class="event-icon">🩹</span> Recovered</h4>
+              <div class="sound-buttons">
+                <button class="btn btn-primary" onclick="testSound('deployment_recovered')">Test Sound</button>
+                <button class="btn btn-secondary" onclick="document.getElementById('file_deployment_recovered').click()">Upload Custom</button>
+                <button class="btn btn-danger" onclick="removeCustomSound('deployment_recovered')">Reset to Default</button>
+              </div>
+              <input type="file" id="file_deployment_recovered" class="file-input" accept="audio/*" style="display:none" onchange="uploadCustomSound('deployment_recovered', this.files[0])">
+              <div id="status_deployment_recovered" class="sound-status">Using default sound</div>
+            </div>
+            
+            <div class="sound-control">
+              <h4><span class="event-icon">📉</span> Regressed</h4>
+              <div class="sound-buttons">
+                <button class="btn btn-primary" onclick="testSound('deployment_regressed')">Test Sound</button>
+                <button class="btn btn-secondary" onclick="document.getElementById('file_deployment_regressed').click()">Upload Custom</button>
+                <button class="btn btn-danger" onclick="removeCustomSound('deployment_regressed')">Reset to Default</button>
+              </div>
+              <input type="file" id="file_deployment_regressed" class="file-input" accept="audio/*" style="display:none" onchange="uploadCustomSound('deployment_regressed', this.files[0])">
+              <div id="status_deployment_regressed" class="sound-status">Using default sound</div>
+            </div>
+            
+            <div class="sound-control">
+              <h4><span class="event-icon">🔁</span> Flapping</h4>
+              <div class="sound-buttons">
+                <button class="btn btn-primary" onclick="testSound('service_flapping')">Test Sound</button>
+                <button class="btn btn-secondary" onclick="document.getElementById('file_service_flapping').click()">Upload Custom</button>
+                <button class="btn btn-danger" onclick="removeCustomSound('service_flapping')">Reset to Default</button>
+              </div>
+              <input type="file" id="file_service_flapping" class="file-input" accept="audio/*" style="display:none" onchange="uploadCustomSound('service_flapping', this.files[0])">
+              <div id="status_service_flapping" class="sound-status">Using default sound</div>
+            </div>
           </div>
         </div>
         
@@ -609,6 +1924,17 @@ railway up
 3. Get real-time audio notifications! 🔊
         </div>
         
+        <!-- Status Board -->
+        <div id="statusBoardPanel" style="background: #f8f9fa; padding: 20px; border-radius: 10px; margin: 30px 0;">
+          <div style="display: flex; justify-content: space-between; align-items: center;">
+            <h2>🗺️ Status Board</h2>
+            <button id="wallViewButton" class="btn btn-secondary" onclick="toggleWallView()">📺 Wall view</button>
+          </div>
+          <div id="statusGrid" class="status-grid">
+            <div style="color: #a0aec0;">No projects seen yet.</div>
+          </div>
+        </div>
+        
         <!-- Live Notification Log -->
         <div style="background: #f8f9fa; padding: 20px; border-radius: 10px; margin: 30px 0;">
           <h2>📊 Live Notification Log</h2>
@@ -619,6 +1945,23 @@ railway up
             <div id="notificationPermission"></div>
           </div>
           
+          <div style="display: flex; gap: 10px; flex-wrap: wrap; align-items: center; margin-bottom: 15px; font-size: 14px;">
+            <strong>Subscribe to:</strong>
+            <input id="filterProject" type="text" placeholder="Projects (comma-separated)" style="padding: 6px; border: 1px solid #e2e8f0; border-radius: 5px;">
+            <input id="filterEnvironment" type="text" placeholder="Environments" style="padding: 6px; border: 1px solid #e2e8f0; border-radius: 5px;">
+            <select id="filterSeverity" style="padding: 6px; border: 1px solid #e2e8f0; border-radius: 5px;">
+              <option value="">All severities</option>
+              <option value="warning">Warning and above</option>
+              <option value="critical">Critical only</option>
+            </select>
+            <button class="btn btn-secondary" onclick="applySubscriptionFilter()">Apply Filter</button>
+          </div>
+          
+          <div id="alertPanel" style="display: none; background: #fff5f5; border: 2px solid #f56565; border-radius: 5px; padding: 10px; margin-bottom: 15px;">
+            <strong>🚨 Unacknowledged Alerts</strong>
+            <div id="alertList" style="margin-top: 10px; font-size: 14px;"></div>
+          </div>
+          
           <div id="notificationLog" style="background: white; border: 1px solid #e2e8f0; border-radius: 5px; height: 300px; overflow-y: auto; padding: 10px; font-family: monospace; font-size: 14px;">
             <div class="log-entry system-message">
               <div class="log-time">--:--:--</div>
@@ -674,12 +2017,21 @@ railway up
       </div>
       
       <script>
+        // Share of the master volume, and the sound, for each severity ('event' = the event's own sound)
+        const SEVERITY_SOUND_DEFAULTS = {
+          info: { volume: 0.4, sound: 'event' },
+          warning: { volume: 0.7, sound: 'event' },
+          critical: { volume: 1, sound: 'event' }
+        };
+
         // Sound system with better browser compatibility
         class DeploymentSounds {
           constructor() {
             this.audioContext = null;
             this.isInitialized = false;
             this.volume = 0.7;
+            // Scales the master volume for the sound being played (set from its severity)
+            this.intensity = 1;
             this.loadSettings();
           }
 
@@ -707,6 +2059,28 @@ railway up
           // Load settings from localStorage
           loadSettings() {
             this.volume = parseFloat(localStorage.getItem('volume') || '0.7');
+            this.severitySounds = {};
+            Object.keys(SEVERITY_SOUND_DEFAULTS).forEach(severity => {
+              const saved = JSON.parse(localStorage.getItem(\`severitySound_\${severity}\`) || 'null');
+              this.severitySounds[severity] = { ...SEVERITY_SOUND_DEFAULTS[severity], ...saved };
+            });
+          }
+
+          // Volume for the sound being played
+          currentVolume() {
+            return this.volume * this.intensity;
+          }
+
+          // Which sound to play, and how loud, for an event of this severity
+          soundForSeverity(eventType, severity) {
+            const setting = this.severitySounds[severity];
+            if (!setting) return { soundType: eventType, intensity: 1 };
+            return { soundType: setting.sound === 'event' ? eventType : setting.sound, intensity: setting.volume };
+          }
+
+          setSeveritySound(severity, setting) {
+            this.severitySounds[severity] = setting;
+            localStorage.setItem(\`severitySound_\${severity}\`, JSON.stringify(setting));
           }
 
           // Generate a tone
@@ -722,7 +2096,7 @@ railway up
             oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
             oscillator.type = type;
 
-            const vol = (volume !== null ? volume : this.volume) * 0.3; // Reduce volume to prevent distortion
+            const vol = (volume !== null ? volume : this.currentVolume()) * 0.3; // Reduce volume to prevent distortion
             
             // Smooth envelope
             gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
@@ -735,10 +2109,12 @@ railway up
 
           // Generate sequence of tones
           async generateSequence(notes, noteDuration = 0.2) {
+            // Later notes keep the volume the sequence started with
+            const volume = this.currentVolume();
             for (let i = 0; i < notes.length; i++) {
               const note = notes[i];
               setTimeout(() => {
-                this.generateTone(note.frequency, noteDuration, note.type || 'sine');
+                this.generateTone(note.frequency, noteDuration, note.type || 'sine', volume);
               }, i * noteDuration * 1000);
             }
           }
@@ -749,7 +2125,7 @@ railway up
               // Create a simple beep sound as data URL
               const beepSound = this.createBeepDataURL(frequency, duration);
               const audio = new Audio(beepSound);
-              audio.volume = this.volume * 0.5;
+              audio.volume = this.currentVolume() * 0.5;
               audio.play().catch(e => console.warn('Fallback beep failed:', e));
               console.log('Playing fallback beep');
             } catch (e) {
@@ -768,7 +2144,7 @@ railway up
           async playCustomSound(base64Data) {
             try {
               const audio = new Audio(base64Data);
-              audio.volume = this.volume;
+              audio.volume = this.currentVolume();
               await audio.play();
               console.log('Playing custom sound');
             } catch (e) {
@@ -886,6 +2262,88 @@ railway up
             }
           }
 
+          async playDeploymentStuck() {
+            console.log('Playing deployment stuck sound');
+            try {
+              if (await this.initAudio()) {
+                // Slow, falling "still waiting" tones
+                await this.generateSequence([
+                  { frequency: 523, type: 'triangle' },
+                  { frequency: 440, type: 'triangle' },
+                  { frequency: 349, type: 'triangle' },
+                  { frequency: 349, type: 'triangle' }
+                ], 0.35);
+              } else {
+                this.playFallbackBeep(440, 600);
+              }
+            } catch (e) {
+              console.warn('Deployment stuck sound failed, using fallback');
+              this.playFallbackBeep(440, 600);
+            }
+          }
+
+          async playDeploymentRecovered() {
+            console.log('Playing deployment recovered sound');
+            try {
+              if (await this.initAudio()) {
+                // Rising "all clear" from low to high
+                await this.generateSequence([
+                  { frequency: 392, type: 'sine' },  // G4
+                  { frequency: 523, type: 'sine' },  // C5
+                  { frequency: 659, type: 'sine' },  // E5
+                  { frequency: 1047, type: 'sine' }  // C6
+                ], 0.2);
+              } else {
+                this.playFallbackBeep(1047, 250);
+              }
+            } catch (e) {
+              console.warn('Deployment recovered sound failed, using fallback');
+              this.playFallbackBeep(1047, 250);
+            }
+          }
+
+          async playDeploymentRegressed() {
+            console.log('Playing deployment regressed sound');
+            try {
+              if (await this.initAudio()) {
+                // The success chime, falling back down
+                await this.generateSequence([
+                  { frequency: 784, type: 'triangle' },  // G5
+                  { frequency: 659, type: 'triangle' },  // E5
+                  { frequency: 523, type: 'triangle' },  // C5
+                  { frequency: 370, type: 'square' }     // F#4
+                ], 0.18);
+              } else {
+                this.playFallbackBeep(370, 400);
+              }
+            } catch (e) {
+              console.warn('Deployment regressed sound failed, using fallback');
+              this.playFallbackBeep(370, 400);
+            }
+          }
+
+          async playServiceFlapping() {
+            console.log('Playing service flapping sound');
+            try {
+              if (await this.initAudio()) {
+                // Fast alternating siren
+                await this.generateSequence([
+                  { frequency: 1200, type: 'square' },
+                  { frequency: 600, type: 'square' },
+                  { frequency: 1200, type: 'square' },
+                  { frequency: 600, type: 'square' },
+                  { frequency: 1200, type: 'square' },
+                  { frequency: 600, type: 'square' }
+                ], 0.07);
+              } else {
+                this.playFallbackBeep(1200, 80);
+              }
+            } catch (e) {
+              console.warn('Service flapping sound failed, using fallback');
+              this.playFallbackBeep(1200, 80);
+            }
+          }
+
           // Set volume
           setVolume(volume) {
             this.volume = volume;
@@ -906,6 +2364,10 @@ railway up
           deployment_success: () => deploymentSounds.playDeploymentSuccess(),
           deployment_failure: () => deploymentSounds.playDeploymentFailure(),
           service_crash: () => deploymentSounds.playServiceCrash(),
+          deployment_stuck: () => deploymentSounds.playDeploymentStuck(),
+          deployment_recovered: () => deploymentSounds.playDeploymentRecovered(),
+          deployment_regressed: () => deploymentSounds.playDeploymentRegressed(),
+          service_flapping: () => deploymentSounds.playServiceFlapping(),
           sleeping: () => deploymentSounds.playSleeping(),
           removed: () => deploymentSounds.playRemoved(),
           skipped: () => deploymentSounds.playSkipped(),
@@ -916,23 +2378,26 @@ railway up
           build_failure: () => deploymentSounds.playDeploymentFailure()
         };
 
-        // Main function to play notification sound
-        async function playNotificationSound(eventType) {
+        // Main function to play notification sound; the severity picks the volume and may pick another sound
+        async function playNotificationSound(eventType, severity = null) {
+          const { soundType, intensity } = deploymentSounds.soundForSeverity(eventType, severity);
+          if (soundType === 'none') return;
           try {
-            console.log('Playing notification sound for:', eventType);
+            console.log('Playing notification sound for:', eventType, severity ? \`(\${severity})\` : '');
+            deploymentSounds.intensity = intensity;
             
             // Check for custom sound first
-            const customSound = localStorage.getItem(\`sound_\${eventType}\`);
+            const customSound = localStorage.getItem(\`sound_\${soundType}\`);
             if (customSound) {
               await deploymentSounds.playCustomSound(customSound);
-            } else if (soundMethods[eventType]) {
-              await soundMethods[eventType]();
+            } else if (soundMethods[soundType]) {
+              await soundMethods[soundType]();
             } else {
-              console.warn('Unknown event type:', eventType);
+              console.warn('Unknown event type:', soundType);
             }
           } catch (e) {
             console.error('Error playing sound:', e);
-            updateSoundStatus(eventType, 'Error playing sound - check browser permissions');
+            updateSoundStatus(soundType, 'Error playing sound - check browser permissions');
           }
         }
 
@@ -1010,9 +2475,23 @@ railway up
           console.log('Volume set to:', Math.round(volume * 100) + '%');
         }
 
+        // Save the volume and sound chosen for a severity
+        function setSeveritySound(severity) {
+          const volume = parseFloat(document.getElementById(\`severityVolume_\${severity}\`).value);
+          const sound = document.getElementById(\`severitySound_\${severity}\`).value;
+          deploymentSounds.setSeveritySound(severity, { volume, sound });
+          document.getElementById(\`severityVolumeDisplay_\${severity}\`).textContent = Math.round(volume * 100) + '%';
+        }
+
         // Real-time notification system
         let eventSource = null;
         let connectionStatus = 'disconnected';
+        // ID of the last notification seen, so a reconnect replays only what was missed
+        let lastEventId = null;
+        // Open critical alerts by notification ID
+        const openAlerts = new Map();
+        // Status board entries by project/environment
+        const statusEntries = new Map();
         
         function connectToNotifications() {
           if (eventSource) {
@@ -1022,7 +2501,11 @@ railway up
           console.log('🔌 Connecting to notification stream...');
           updateConnectionStatus('connecting');
           
-          eventSource = new EventSource('/events');
+          const params = new URLSearchParams(getSubscriptionFilter());
+          if (lastEventId) {
+            params.set('lastEventId', lastEventId);
+          }
+          eventSource = new EventSource(\`/events?\${params.toString()}\`);
           
           eventSource.onopen = function() {
             console.log('✅ Connected to notification stream');
@@ -1033,6 +2516,9 @@ railway up
             try {
               const data = JSON.parse(event.data);
               console.log('📨 Received SSE message:', data);
+              if (event.lastEventId) {
+                lastEventId = event.lastEventId;
+              }
               
               switch (data.type) {
                 case 'connected':
@@ -1041,6 +2527,12 @@ railway up
                   break;
                   
                 case 'notification':
+                  if (data.replayed) {
+                    // Missed while disconnected - show it, but don't replay a burst of sounds
+                    console.log('⏪ Missed notification replayed:', data.notification);
+                    displayNotificationInLog(data.notification, true);
+                    break;
+                  }
                   console.log('🚨 New notification received:', data.notification);
                   handleNewNotification(data.notification);
                   break;
@@ -1052,6 +2544,38 @@ railway up
                   });
                   break;
                   
+                case 'status_board':
+                  statusEntries.clear();
+                  data.entries.forEach(entry => statusEntries.set(statusKey(entry), entry));
+                  renderStatusBoard();
+                  break;
+                  
+                case 'status':
+                  statusEntries.set(statusKey(data.entry), data.entry);
+                  renderStatusBoard();
+                  break;
+                  
+                case 'alerts':
+                  openAlerts.clear();
+                  data.alerts.forEach(alert => openAlerts.set(String(alert.id), alert));
+                  renderAlerts();
+                  break;
+                  
+                case 'alert':
+                  openAlerts.set(String(data.alert.id), data.alert);
+                  renderAlerts();
+                  if (data.alert.repeats > 0) {
+                    // Still unacknowledged - sound it again
+                    playNotificationSound(data.alert.notification.sound || data.alert.notification.event, data.alert.notification.severity);
+                  }
+                  break;
+                  
+                case 'alert_acknowledged':
+                  openAlerts.delete(String(data.alert.id));
+                  renderAlerts();
+                  showNotificationLog(\`Alert for \${data.alert.notification.project} acknowledged via \${data.alert.acknowledgedBy}\`, 'success');
+                  break;
+                  
                 case 'ping':
                   // Keep-alive ping, no action needed
                   break;
@@ -1078,6 +2602,120 @@ railway up
           };
         }
         
+        function renderAlerts() {
+          const panel = document.getElementById('alertPanel');
+          const list = document.getElementById('alertList');
+          if (!panel || !list) return;
+          
+          panel.style.display = openAlerts.size > 0 ? 'block' : 'none';
+          list.innerHTML = '';
+          openAlerts.forEach(alert => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 8px;';
+            row.innerHTML = \`
+              <span>
+                \${getEventIcon(alert.notification.event)} <strong>\${escapeText(alert.notification.project)}</strong>: \${escapeText(alert.notification.message || alert.notification.event)}
+                <br><small>Open since \${new Date(alert.openedAt).toLocaleTimeString()}\${alert.repeats ? \` · repeated \${alert.repeats}×\` : ''}\${alert.escalated ? ' · escalated' : ''}</small>
+              </span>
+              <button class="btn btn-danger">Acknowledge</button>
+            \`;
+            row.querySelector('button').addEventListener('click', () => acknowledgeAlert(alert.id));
+            list.appendChild(row);
+          });
+        }
+        
+        function statusKey(entry) {
+          return JSON.stringify([entry.project, entry.environment]);
+        }
+        
+        function escapeText(value) {
+          const element = document.createElement('span');
+          element.textContent = value === null || value === undefined ? '' : String(value);
+          return element.innerHTML.replace(/"/g, '&quot;');
+        }
+        
+        // "45s", "12m", "3h 5m", "2d 4h"
+        function formatSince(ms) {
+          const seconds = Math.max(Math.floor(ms / 1000), 0);
+          if (seconds < 60) return \`\${seconds}s\`;
+          const minutes = Math.floor(seconds / 60);
+          if (minutes < 60) return \`\${minutes}m\`;
+          const hours = Math.floor(minutes / 60);
+          if (hours < 48) return \`\${hours}h \${minutes % 60}m\`;
+          return \`\${Math.floor(hours / 24)}d \${hours % 24}h\`;
+        }
+        
+        function renderStatusBoard() {
+          const grid = document.getElementById('statusGrid');
+          if (!grid || statusEntries.size === 0) return;
+          
+          const labels = { healthy: '✅ Healthy', unhealthy: '🔥 Unhealthy', in_progress: '⏳ Deploying', unknown: '❔ Unknown' };
+          const entries = Array.from(statusEntries.values())
+            .sort((a, b) => a.project.localeCompare(b.project) || String(a.environment).localeCompare(String(b.environment)));
+          grid.innerHTML = entries.map(entry => \`
+            <div class="status-tile \${entry.state}" title="\${escapeText(entry.lastMessage || '')}">
+              <div class="status-project">\${escapeText(entry.project)}</div>
+              <div class="status-meta">\${escapeText(entry.environment || 'no environment')} · \${labels[entry.state] || entry.state}</div>
+              <div class="status-meta">\${getEventIcon(entry.lastEvent)} \${escapeText(entry.lastEvent)} · for \${formatSince(Date.now() - Date.parse(entry.changedAt))}</div>
+              \${entry.deploymentId ? \`<div class="status-meta">🆔 \${escapeText(entry.deploymentId)}</div>\` : ''}
+              \${entry.url ? \`<div class="status-meta">🔗 <a href="\${escapeText(/^https?:\\/\\//i.test(entry.url) ? entry.url : 'https://' + entry.url)}" target="_blank" rel="noopener">\${escapeText(entry.url)}</a></div>\` : ''}
+            </div>
+          \`).join('');
+        }
+        
+        // Full-screen grid for a wall TV; ?view=wall opens the dashboard in it
+        function toggleWallView(enabled = !document.body.classList.contains('wall-view')) {
+          document.body.classList.toggle('wall-view', enabled);
+          document.getElementById('wallViewButton').textContent = enabled ? '↩️ Exit wall view' : '📺 Wall view';
+          const url = new URL(window.location.href);
+          if (enabled) {
+            url.searchParams.set('view', 'wall');
+          } else {
+            url.searchParams.delete('view');
+          }
+          history.replaceState(null, '', url);
+        }
+        
+        async function acknowledgeAlert(id) {
+          try {
+            const response = await fetch(\`/alerts/\${encodeURIComponent(id)}/ack\`, { method: 'POST' });
+            if (!response.ok && response.status !== 404) {
+              throw new Error(\`HTTP \${response.status}\`);
+            }
+            // The server broadcasts alert_acknowledged to every dashboard
+            openAlerts.delete(String(id));
+            renderAlerts();
+          } catch (error) {
+            showNotificationLog(\`Failed to acknowledge alert: \${error.message}\`, 'error');
+          }
+        }
+        
+        // Subscription filter saved in localStorage, as /events query parameters
+        function getSubscriptionFilter() {
+          try {
+            return JSON.parse(localStorage.getItem('subscriptionFilter') || '{}');
+          } catch (e) {
+            return {};
+          }
+        }
+        
+        function applySubscriptionFilter() {
+          const filter = {};
+          const project = document.getElementById('filterProject').value.trim();
+          const environment = document.getElementById('filterEnvironment').value.trim();
+          const minSeverity = document.getElementById('filterSeverity').value;
+          if (project) filter.project = project;
+          if (environment) filter.environment = environment;
+          if (minSeverity) filter.minSeverity = minSeverity;
+          localStorage.setItem('subscriptionFilter', JSON.stringify(filter));
+          
+          // Start over with history that matches the new filter
+          lastEventId = null;
+          document.getElementById('notificationLog').innerHTML = '';
+          showNotificationLog('Subscription filter updated', 'success');
+          connectToNotifications();
+        }
+        
         function updateConnectionStatus(status) {
           connectionStatus = status;
           const statusElement = document.getElementById('connectionStatus');
@@ -1108,8 +2746,8 @@ railway up
           // Display in log
           displayNotificationInLog(notification, true);
           
-          // Play sound
-          playNotificationSound(notification.event);
+          // Play sound (a routing rule may pick a different sound than the event's own)
+          playNotificationSound(notification.sound || notification.event, notification.severity);
           
           // Show browser notification if permission granted
           if (Notification.permission === 'granted') {
@@ -1135,6 +2773,7 @@ railway up
             <div class="log-content">
               <span class="log-icon">\${eventIcon}</span>
               <strong>\${notification.project}</strong>: \${notification.event}
+              \${notification.severity ? \`<span class="log-severity \${notification.severity}">\${notification.severity}</span>\` : ''}
               \${notification.message ? \`<br><small>\${notification.message}</small>\` : ''}
             </div>
           \`;
@@ -1161,7 +2800,19 @@ railway up
             build_failure: '❌',
             deployment_success: '🚀',
             deployment_failure: '💥',
-            service_crash: '🚨'
+            service_crash: '🚨',
+            storm: '🌪️',
+            storm_summary: '🌪️',
+            health_check_passed: '💚',
+            health_check_failed: '🩺',
+            deployment_stuck: '⏳',
+            heartbeat: '💓',
+            heartbeat_missed: '💀',
+            heartbeat_recovered: '💓',
+            deployment_recovered: '🩹',
+            deployment_regressed: '📉',
+            service_flapping: '🔁',
+            service_flapping_settled: '🔕'
           };
           return icons[event] || '📢';
         }
@@ -1208,6 +2859,60 @@ railway up
               default:
                 statusElement.innerHTML = '<button onclick="requestNotificationPermission()" class="btn btn-secondary">Enable Browser Notifications</button>';
             }
+            if ('serviceWorker' in navigator && 'PushManager' in window && Notification.permission !== 'denied') {
+              statusElement.innerHTML += ' <button onclick="enablePushNotifications()" class="btn btn-secondary">Enable Push Alerts</button>';
+            }
+          }
+        }
+        
+        // Web Push: alerts arrive through the service worker even when this tab is closed
+        function urlBase64ToUint8Array(base64String) {
+          const padding = '='.repeat((4 - base64String.length % 4) % 4);
+          const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+          const raw = window.atob(base64);
+          return Uint8Array.from(raw, char => char.charCodeAt(0));
+        }
+        
+        async function enablePushNotifications() {
+          if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
+            showNotificationLog('Push alerts are not supported in this browser', 'error');
+            return;
+          }
+          
+          try {
+            const permission = await Notification.requestPermission();
+            updateNotificationPermissionStatus();
+            if (permission !== 'granted') {
+              showNotificationLog('Push alerts need notification permission', 'error');
+              return;
+            }
+            
+            const registration = await navigator.serviceWorker.register('/sw.js');
+            await navigator.serviceWorker.ready;
+            const { publicKey } = await fetch('/push/vapid-public-key').then(res => res.json());
+            
+            let subscription = await registration.pushManager.getSubscription();
+            if (!subscription) {
+              subscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(publicKey)
+              });
+            }
+            
+            const response = await fetch('/push/subscribe', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ subscription: subscription.toJSON(), filter: getSubscriptionFilter() })
+            });
+            if (!response.ok) {
+              throw new Error('HTTP ' + response.status);
+            }
+            
+            console.log('📲 Push subscription registered');
+            showNotificationLog('Push alerts enabled - you will be alerted even when this tab is closed', 'success');
+          } catch (e) {
+            console.error('❌ Error enabling push alerts:', e);
+            showNotificationLog('Error enabling push alerts: ' + e.message, 'error');
           }
         }
 
@@ -1219,9 +2924,12 @@ railway up
         }
         
         function testNotification() {
-          fetch('/notify?project=test&event=deployment_success&message=Test notification from web interface')
+          fetch('/test-notification', { method: 'POST' })
             .then(res => res.json())
             .then(data => {
+              if (data.error) {
+                throw new Error(data.error);
+              }
               console.log('✅ Test notification sent:', data);
               showNotificationLog(\`Test notification sent (notified \${data.clientsNotified} clients)\`, 'success');
             })
@@ -1278,13 +2986,26 @@ railway up
           volumeSlider.value = savedVolume;
           volumeDisplay.textContent = Math.round(savedVolume * 100) + '%';
           
+          // Wall view, and keep "for 5m" on the status board current
+          if (new URLSearchParams(window.location.search).get('view') === 'wall') {
+            toggleWallView(true);
+          }
+          setInterval(renderStatusBoard, 30000);
+          
+          // Restore the sound settings for each severity
+          Object.entries(deploymentSounds.severitySounds).forEach(([severity, setting]) => {
+            document.getElementById(\`severityVolume_\${severity}\`).value = setting.volume;
+            document.getElementById(\`severityVolumeDisplay_\${severity}\`).textContent = Math.round(setting.volume * 100) + '%';
+            document.getElementById(\`severitySound_\${severity}\`).value = setting.sound;
+          });
+          
           // Update volume display
           volumeSlider.addEventListener('input', function() {
             volumeDisplay.textContent = Math.round(this.value * 100) + '%';
           });
           
           // Update sound status for custom sounds
-          const eventTypes = ['build_start', 'build_success', 'build_failure', 'deployment_success', 'deployment_failure', 'service_crash'];
+          const eventTypes = ['build_start', 'build_success', 'build_failure', 'deployment_success', 'deployment_failure', 'service_crash', 'deployment_stuck', 'deployment_recovered', 'deployment_regressed', 'service_flapping'];
           eventTypes.forEach(eventType => {
             const customSound = localStorage.getItem(\`sound_\${eventType}\`);
             if (customSound) {
@@ -1292,6 +3013,12 @@ railway up
             }
           });
           
+          // Restore saved subscription filter
+          const subscriptionFilter = getSubscriptionFilter();
+          document.getElementById('filterProject').value = subscriptionFilter.project || '';
+          document.getElementById('filterEnvironment').value = subscriptionFilter.environment || '';
+          document.getElementById('filterSeverity').value = subscriptionFilter.minSeverity || '';
+          
           // Initialize notification permission status
           updateNotificationPermissionStatus();
           
@@ -1322,7 +3049,42 @@ railway up
   `);
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚨 Deployment Alert server running on port ${PORT}`);
   console.log(`📡 Notification endpoint: http://localhost:${PORT}/notify`);
+  console.log(`🔐 Webhook verification: ${WEBHOOK_STRICT ? 'strict' : 'optional'} (${WEBHOOK_SECRETS.length} Railway secret(s))`);
+  console.log(`🔌 Webhook providers: ${Object.keys(providerAdapters).map(name => `/webhook/${name}`).join(', ')}`);
+  if (apiKeys.enabled) {
+    console.log(`🔑 /notify API keys: ${apiKeys.keys.length}`);
+  } else if (NOTIFY_ALLOW_ANONYMOUS) {
+    console.warn('⚠️ /notify is open to any client (NOTIFY_ALLOW_ANONYMOUS=true) - anyone can report for any project');
+  } else {
+    console.warn('⚠️ /notify rejects every request: set NOTIFY_API_KEYS (or NOTIFY_ALLOW_ANONYMOUS=true)');
+  }
+  console.log(`🚦 Rate limits per ${RATE_LIMIT_WINDOW_SECONDS}s: ${RATE_LIMIT_PER_IP || '∞'}/IP, ${RATE_LIMIT_PER_KEY || '∞'}/API key, ${RATE_LIMIT_PER_PROJECT || '∞'}/project`);
+  console.log(`🌪️ Storm mode: ${STORM_THRESHOLD > 0 ? `${STORM_THRESHOLD} notifications in ${STORM_WINDOW_SECONDS}s` : 'disabled'}`);
+  console.log(`🩺 Post-deploy health probes: ${HEALTH_PROBE_ENABLED ? `${HEALTH_PROBE_DURATION_SECONDS}s every ${HEALTH_PROBE_INTERVAL_SECONDS}s on ${HEALTH_PROBE_HOSTS.join(', ')}` : 'disabled'}`);
+  console.log(`⏳ Stuck deployment thresholds (min): ${JSON.stringify(stuckDetector.thresholds.defaults)}, ${Object.keys(stuckDetector.thresholds.projects).length} project override(s)`);
+  console.log(`🔁 Flapping: ${FLAP_THRESHOLD > 0 ? `${FLAP_THRESHOLD} crashes within ${FLAP_WINDOW_SECONDS}s` : 'disabled'}`);
+  console.log(`💓 Heartbeat schedules: ${heartbeatMonitor.schedules.length}`);
+  console.log(`🔒 Dashboard authentication: ${dashboardAuth.enabled ? `${dashboardAuth.tokens.length} token(s), ${dashboardAuth.users.size} user(s)` : 'disabled'}`);
+  console.log(`💾 Notification store: ${NOTIFICATION_STORE} (${notificationStore.size} stored)`);
+  console.log(`🔗 WebSocket endpoint: ws://localhost:${PORT}/ws`);
+  console.log(`📲 Web Push subscriptions: ${pushNotifier.subscriptionCount}`);
+  console.log(`🧭 Routing rules: ${routingRules.rules.length}`);
+  console.log(`🎚️ Severity overrides: ${Object.keys(severityModel.defaults.events).length} event(s), ${Object.keys(severityModel.projects).length} project(s)`);
+  console.log(`💬 Chat channels: ${chatNotifier.channels.map(channel => channel.platform).join(', ') || 'none'}`);
+  console.log(`⏰ Critical alerts escalate to ${ESCALATION_CHANNELS.join(', ')} after ${ESCALATION_TIMEOUT_SECONDS}s unacknowledged`);
+});
+
+// WebSocket transport shares the HTTP server and the broadcast pipeline
+webSocketTransport = new WebSocketTransport({
+  server,
+  path: '/ws',
+  listAfter: id => notificationStore.listAfter(id).filter(reachedDashboard),
+  authorize: req => dashboardAuth.authenticate(req),
+  listAlerts: () => escalationManager.list(),
+  listStatus: () => statusBoard.list(),
+  onDrop: () => droppedClients.inc({ transport: 'websocket' }),
+  onAck: ids => acknowledgeNotifications(ids, 'WebSocket')
 });
\ No newline at end of file
@@ -36,6 +36,7 @@ async function runBackgroundTest() {
       if (i === notifications.length - 1) {
         console.log('\n✅ Background test completed!');
         console.log('🔄 Return to the dashboard tab to see missed notification handling.');
+        console.log('📲 With "Enable Push Alerts" on, try again with the tab closed - alerts arrive via Web Push.');
       }
     }, notification.delay);
   }
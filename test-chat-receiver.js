@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Chat Webhook Stand-in
+ *
+ * Local HTTP server that pretends to be a Slack/Discord/Teams incoming webhook,
+ * so outbound chat notifications can be tested without real chat workspaces.
+ * Usage: node test-chat-receiver.js [port] [failures]
+ *
+ * - port: port to listen on (default: 4000)
+ * - failures: number of requests to answer with HTTP 500 first, to exercise retries (default: 0)
+ *
+ * Then start the server with e.g.:
+ *   SLACK_WEBHOOK_URLS=http://localhost:4000/slack DISCORD_WEBHOOK_URLS=http://localhost:4000/discord npm start
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.argv[2] || '4000', 10);
+let failuresLeft = parseInt(process.argv[3] || '0', 10);
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  
+  req.on('end', () => {
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`💥 [${new Date().toISOString()}] ${req.method} ${req.url} → 500 (${failuresLeft} failure(s) left)`);
+      res.writeHead(500);
+      return res.end('Simulated failure');
+    }
+    
+    console.log(`💬 [${new Date().toISOString()}] ${req.method} ${req.url}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (e) {
+      console.log(body);
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🎯 Chat webhook stand-in listening on http://localhost:${PORT}`);
+});
@@ -6,6 +6,7 @@ const url = require('url');
 
 const SERVER_URL = process.env.NOTIFICATION_URL || 'http://localhost:3000';
 const PROJECT_NAME = process.env.PROJECT_NAME || 'eternalgy-ems-frontend';
+const NOTIFY_API_KEY = process.env.NOTIFY_API_KEY;
 
 function sendNotification(event, message = '') {
   const notifyUrl = `${SERVER_URL}/notify?project=${encodeURIComponent(PROJECT_NAME)}&event=${encodeURIComponent(event)}&message=${encodeURIComponent(message)}`;
@@ -18,7 +19,8 @@ function sendNotification(event, message = '') {
     hostname: parsedUrl.hostname,
     port: parsedUrl.port || 80,
     path: parsedUrl.path,
-    method: 'GET'
+    method: 'GET',
+    headers: NOTIFY_API_KEY ? { 'X-API-Key': NOTIFY_API_KEY } : {}
   };
 
   const req = http.request(options, (res) => {
@@ -11,7 +11,7 @@ const http = require('http');
 const crypto = require('crypto');
 
 const SERVER_URL = process.env.NOTIFICATION_URL || 'http://localhost:3000';
-const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || 'railway-webhook-secret';
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
 
 // Railway webhook event types
 const RAILWAY_EVENTS = [
@@ -61,7 +61,8 @@ function generateSignature(payload) {
 async function sendWebhook(eventType, projectName) {
   const payload = generateWebhookPayload(eventType, projectName);
   const payloadString = JSON.stringify(payload);
-  const signature = generateSignature(payloadString);
+  // Only sign when the server has a secret to verify against
+  const signature = WEBHOOK_SECRET ? generateSignature(payloadString) : null;
   
   console.log(`🚨 Sending Railway webhook: ${eventType}`);
   console.log(`📡 Project: ${projectName}`);
@@ -77,10 +78,13 @@ async function sendWebhook(eventType, projectName) {
     headers: {
       'Content-Type': 'application/json',
       'Content-Length': Buffer.byteLength(payloadString),
-      'X-Railway-Signature': signature,
       'User-Agent': 'Railway-Webhook-Test/1.0'
     }
   };
+  
+  if (signature) {
+    options.headers['X-Railway-Signature'] = signature;
+  }
 
   return new Promise((resolve, reject) => {
     const req = http.request(options, (res) => {